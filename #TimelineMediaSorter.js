@@ -1,16 +1,138 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { EventEmitter } = require('events');
 
-const rootPath = __dirname;
+const scriptPath = __dirname;
 
 class TimelineMediaSorterSettings {
   /**
    * Enables or disables saving logs during the media sorting process.
    * Set to `true` to keep logs, or `false` to disable logging.
+   * Every run gets its own file in the "#TimelineMediaSorterLogs" folder of the target folder,
+   * named after the time the run started, e.g. "2025-01-25 15-43-22.txt". A dry run saves no log.
    */
   static SAVE_LOGS = false;
 
+  /**
+   * Formats of a structured report saved next to the log file (see SAVE_LOGS) by every run that sorts files,
+   * with a record for every file: source and target path, status, date source, matched custom event and error.
+   * - 'jsonl' — JSON Lines, one JSON object per file, e.g. for scripts
+   * - 'csv'   — a table with a header row, e.g. for Excel
+   *
+   * The status is one of: 'moved' (also when copied or linked), 'in-place', 'unsupported-ext', 'unknown-date',
+   * 'duplicate', 'skipped' (left where it was because of COLLISION_POLICY) or 'error'.
+   * Example: ['jsonl', 'csv']
+   */
+  static REPORT_FORMATS = [];
+
+  /**
+   * Set to true to save "#TimelineMediaSorterReport.html" to the target folder after every run that sorts files:
+   * a page that opens offline in any browser with the years, seasons and custom events of the sorted files,
+   * their photo and video counts, the files left in the unknown dates and unknown files folders, and the errors.
+   */
+  static HTML_REPORT = false;
+
+  /**
+   * Language of the console output and of the created folder names: 'ru' or 'en'.
+   * Empty means the system language.
+   */
+  static LANGUAGE = '';
+
+  /**
+   * What is printed to the console while sorting:
+   * - 'lines'    — a line for every file and folder
+   * - 'progress' — a status line with the current phase (scan, plan, move, cleanup), the files processed,
+   *                the speed and the time left, plus warnings and errors; falls back to 'lines'
+   *                when the output is not a terminal, e.g. redirected to a file
+   * - 'quiet'    — only warnings, errors and the summary
+   * - 'silent'   — nothing at all; the default of the module API (see `sort` and `plan` at the end of the script)
+   *
+   * The log file (SAVE_LOGS) always gets every line.
+   */
+  static OUTPUT_MODE = 'lines';
+
+  /**
+   * Folder to scan for media, e.g. an SD card or an import folder.
+   * Relative paths are resolved against the script folder; empty means the script folder itself.
+   */
+  static SOURCE_PATH = '';
+
+  /**
+   * Library folder the media is sorted into.
+   * Relative paths are resolved against the script folder; empty means the same folder as SOURCE_PATH.
+   */
+  static TARGET_PATH = '';
+
+  /**
+   * How files get into the target folder:
+   * - 'move'     — moves the files; between different drives the file is copied,
+   *                verified and only then deleted from the source
+   * - 'copy'     — copies the files and verifies every copy by size and SHA-256 hash, the source stays untouched
+   * - 'hardlink' — creates hard links to the files, the source stays untouched;
+   *                falls back to a verified copy when the folders are on different drives
+   */
+  static TRANSFER_MODE = 'move';
+
+  /**
+   * Folder layout for files with a known date that do not belong to a custom event,
+   * relative to the target folder. Use "/" to nest folders; folders left empty are dropped.
+   *
+   * Tokens:
+   * - {year}, {month}, {day} — date parts; month and day are zero-padded to 2 digits,
+   *                            another width can be given after a colon, e.g. {month:1} → "3"
+   * - {quarter}              — quarter of the year, 1-4
+   * - {monthName}            — month name, e.g. "March"
+   * - {season}               — season name, e.g. "Spring" (see HEMISPHERE and SEASON_STARTS)
+   * - {seasonYear}           — year the season started in; differs from {year} only in January and February
+   *                            of a season spanning New Year when SPANNING_SEASONS is enabled
+   * - {seasonYears}          — years of the season, e.g. "2023", or "2023-2024" for a spanning season
+   * - {type}                 — "Photos" or "Videos"
+   * - {videos}               — "Videos" for videos, empty for photos
+   * - {camera}               — camera make and model from EXIF or QuickTime metadata
+   * - {event}                — folders of the matched custom event (see EVENT_FOLDER_TEMPLATE)
+   *
+   * Examples:
+   *   '{seasonYear}/{season} {seasonYears}/{videos}'   // 2023/Spring 2023/Videos (default)
+   *   '{year}/{month:02} {monthName}'      // 2023/03 March
+   *   '{year}/{year}-{month}-{day}'        // 2023/2023-03-15
+   *   '{year}/Q{quarter}'                  // 2023/Q1
+   *   '{type}/{year}/{season}'             // Photos/2023/Spring
+   *   '{camera}/{year}'                    // Apple iPhone 12/2023
+   */
+  static FOLDER_TEMPLATE = '{seasonYear}/{season} {seasonYears}/{videos}';
+
+  /**
+   * Hemisphere that defines the default seasons:
+   * - 'north' — winter: December–February, spring: March–May, summer: June–August, autumn: September–November
+   * - 'south' — summer: December–February, autumn: March–May, winter: June–August, spring: September–November
+   */
+  static HEMISPHERE = 'north';
+
+  /**
+   * Start of each season as "DD.MM" (exact day) or "MM" (first day of the month),
+   * overriding the start given by HEMISPHERE. A season lasts until the next one starts.
+   *
+   * Example (astronomical seasons):
+   * { spring: '20.03', summer: '21.06', autumn: '22.09', winter: '21.12' }
+   */
+  static SEASON_STARTS = {};
+
+  /**
+   * Labels the season that spans New Year with both years, e.g. "Winter 2023-2024",
+   * so its December and the following January and February share one folder.
+   * When disabled, December goes to "Winter 2023" and January to "Winter 2024".
+   */
+  static SPANNING_SEASONS = false;
+
+  /**
+   * Folder layout for files that belong to a custom event, with the same tokens as FOLDER_TEMPLATE.
+   * Use e.g. '{year}/{event}/{videos}' to nest events under years.
+   */
+  static EVENT_FOLDER_TEMPLATE = '{event}/{videos}';
+
   /**
    * This object defines a list of user-defined events with optional date ranges
    * in "DD.MM.YYYY" format.
@@ -27,12 +149,15 @@ class TimelineMediaSorterSettings {
    *     - A 4-digit number (e.g. 2017)
    *     - "x" (lowercase) to indicate that the event is recurring annually
    *       and should be matched for any year.
+   * - Both ends of a range may have a time "HH:MM" (e.g. 31.12.x 18:00-01.01.x 03:00);
+   *   files whose date has a time are matched against it, files without one by day.
    *
    * Examples:
    * {
    *   'Events & Conferences|Conferences|Tech Conference 2023': '15.05.2023',           // Fixed one-day event
    *   'Events & Conferences|Conferences|UX Summit Europe': '10.06.2023-20.06.2023',    // Fixed multi-day event
    *   'Events & Conferences|Festivals|Winter Fest': '30.12.2023-02.01.2024',           // Fixed range crossing year
+   *   'Events & Conferences|Parties|New Year Party': '31.12.x 18:00-01.01.x 03:00',    // Recurring evening until early morning
    *
    *   'Anniversaries|Work|Work Anniversary': '01.09.2010_2020',                        // Recurring one-day event with start and end years
    *   'Anniversaries|Work|Company Day': '15.03.>2015',                                 // Recurring one-day event with start year
@@ -55,13 +180,64 @@ class TimelineMediaSorterSettings {
    *     '05.06.2009-29.06.2009',
    *     '24.07.2012',
    *   ],                                                                               // Multiple related visits
+   *   'Travel & Leisure|Winter Trip': { dates: '20.12.2023-05.01.2024', priority: 10 }, // Wins over overlapping events
    * }
+   *
+   * When several events cover the same day, the one with the highest "priority" (0 by default) is used;
+   * events with equal priority are ordered by category (fixed before recurring, single days before ranges).
+   * See OVERLAPPING_EVENTS to change this, and MODE 'check-events' to list the overlapping events.
    */
   static CUSTOM_EVENTS_DATES = {
     'Holidays|New Year': '31.12.x-01.01.x',
     'Holidays|Christmas': '24.12.x-26.12.x',
   };
 
+  /**
+   * iCalendar (.ics) files to import custom events from, in addition to CUSTOM_EVENTS_DATES,
+   * e.g. ['C:/Calendars/Family.ics', 'Trips.ics']. Relative paths are resolved against the config file.
+   *
+   * All-day events are imported as the days they cover, timed events with their start and end times;
+   * the end of an event is exclusive, so an all-day event ending on 06.01 lasts until 05.01.
+   * Events repeating every year (RRULE:FREQ=YEARLY) become recurring events, limited by UNTIL or COUNT.
+   * Cancelled events and events with other repeat rules are not imported and are listed like invalid events.
+   */
+  static CALENDAR_FILES = [];
+
+  /**
+   * Name of the imported events, with "|", "\\" or "/" for nested folders like in CUSTOM_EVENTS_DATES:
+   * - {calendar} — calendar name (X-WR-CALNAME) or the file name
+   * - {category} — first category of the event (CATEGORIES)
+   * - {summary}  — title of the event (SUMMARY)
+   *
+   * Empty folders are dropped, so events without a category are placed by their title only.
+   */
+  static CALENDAR_EVENT_NAME = '{category}|{summary}';
+
+  /**
+   * What to do with entries of CUSTOM_EVENTS_DATES that cannot be parsed
+   * (invalid day or month, unparseable range, end year before start year, empty folder name):
+   * - 'abort' — lists them and does not sort
+   * - 'skip'  — lists them as warnings and sorts without them
+   *
+   * Use MODE 'check-events' to only check the events without touching any file.
+   */
+  static INVALID_EVENTS = 'abort';
+
+  /**
+   * Which folder a file goes to when its date matches several custom events:
+   * - 'priority'      — the event with the highest priority (see CUSTOM_EVENTS_DATES)
+   * - 'most-specific' — the shortest of the matching events
+   * - 'combined'      — a folder named after all matching events inside OVERLAPPING_EVENTS_FOLDER,
+   *                     e.g. "Overlapping Events/Christmas + Winter Trip 2023"
+   */
+  static OVERLAPPING_EVENTS = 'priority';
+
+  /**
+   * Folder for files matching several events when OVERLAPPING_EVENTS is 'combined'.
+   * Use "|", "\\" or "/" to nest it; empty puts the combined folders right into the target folder.
+   */
+  static OVERLAPPING_EVENTS_FOLDER = 'Overlapping Events';
+
   /**
    * List of folder names to ignore during the scan.
    * Any directory matching a name in this list will be skipped.
@@ -71,6 +247,7 @@ class TimelineMediaSorterSettings {
     '#Ignored',
     '#Сортировано',
     '#Игнорируется',
+    '#TimelineMediaSorterLogs', // DO NOT REMOVE
     'node_modules', // DO NOT REMOVE
   ];
 
@@ -83,17 +260,129 @@ class TimelineMediaSorterSettings {
     '#TimelineMediaRenamer.js',  // DO NOT REMOVE
     '#TimelineMediaSorter.bat',  // DO NOT REMOVE
     '#TimelineMediaSorter.js',   // DO NOT REMOVE
+    '#TimelineMediaSorterPlan.json', // DO NOT REMOVE
+    '#TimelineMediaSorterJournal.jsonl', // DO NOT REMOVE
+    '#TimelineMediaSorterDuplicates.json', // DO NOT REMOVE
+    '#TimelineMediaSorterReport.html', // DO NOT REMOVE
+    '#TimelineMediaSorterConfig.json', // DO NOT REMOVE
+    '#TimelineMediaSorterConfig.js', // DO NOT REMOVE
   ];
 
+  /**
+   * Operating mode of the sorter:
+   * - 'sort'       — sorts the files right away
+   * - 'dry-run'    — only computes what would happen: prints every planned move, the folders
+   *                  that would be created and the empty folders that would be removed,
+   *                  and saves this plan to "#TimelineMediaSorterPlan.json" without touching any file
+   * - 'apply-plan' — executes exactly the plan saved by a previous dry run,
+   *                  so what was reviewed is what happens
+   * - 'undo'       — reverts the last run that has not been undone yet, using the journal
+   *                  "#TimelineMediaSorterJournal.jsonl" written by every 'sort', 'apply-plan' and 'watch' run
+   * - 'check-events' — only checks CUSTOM_EVENTS_DATES and lists the invalid entries
+   * - 'watch'      — sorts the files right away, then keeps running and sorts every file added to the scanned folder
+   *                  once it is completely copied (see WATCH_STABLE_SECONDS), until stopped with Ctrl+C
+   */
+  static MODE = 'sort';
+
+  /**
+   * What to do when a different file with the same name already exists at the target path:
+   * - 'rename'     — moves the file under a free name with a numeric suffix, e.g. "IMG_0001 (1).jpg"
+   * - 'skip'       — leaves the file where it is
+   * - 'keep-newer' — keeps the file with the latest modification time at the target path:
+   *                  a newer file replaces the existing one, an older file is left where it is;
+   *                  the replaced file is moved to "#Replaced Files" with its path in the library, so undo can restore it,
+   *                  and is put back right away if the newer file cannot be moved
+   * - 'dedupe'     — compares the content: an identical file is removed as a duplicate,
+   *                  a different one is renamed as with 'rename'
+   */
+  static COLLISION_POLICY = 'rename';
+
+  /**
+   * Detection of files with identical content anywhere in the scanned folder.
+   * Files are grouped by size first, and only files of equal size are hashed (SHA-256).
+   * - 'off'    — no detection
+   * - 'report' — lists the duplicates in the summary and in "#TimelineMediaSorterDuplicates.json",
+   *              all files are sorted as usual; a dry run lists them in its plan instead of the file
+   * - 'move'   — also moves every copy except the first one (by path) into the "#Duplicates" folder,
+   *              keeping its original relative path
+   */
+  static DUPLICATES_MODE = 'off';
+
+  /**
+   * How many files and folders are read, hashed or moved at the same time.
+   * Higher values speed up network shares and USB drives; 1 processes everything one by one.
+   * The console output and the summary are the same whatever the value is.
+   */
+  static CONCURRENCY = 8;
+
+  /**
+   * Used by the 'watch' mode: how many seconds the size of a new file must stay the same before it is sorted,
+   * so files that are still being copied are not touched. Files that become ready together are sorted together.
+   */
+  static WATCH_STABLE_SECONDS = 5;
+
+  /**
+   * Used by the 'watch' mode: how often, in minutes, the summary of the files sorted so far is printed
+   * and the reports are saved. Nothing is printed when no file was added since the last summary.
+   */
+  static WATCH_SUMMARY_MINUTES = 60;
+
+  /**
+   * Order in which date sources are consulted for each file.
+   * The first source that yields a date wins, so the order decides
+   * which one is trusted when they disagree.
+   *
+   * Available sources:
+   * - 'filename' — date extracted from the file name using DATE_PATTERNS
+   * - 'metadata' — capture date read from embedded EXIF metadata
+   *                (DateTimeOriginal, then CreateDate) of JPEG, HEIC/HEIF, TIFF and TIFF-based RAW files,
+   *                or creation date of MP4/MOV/3GP videos (Apple creationdate key, then mvhd/tkhd creation time)
+   * - 'filesystem' — the earlier of the creation and modification times of the file; these change
+   *                  when a file is scanned, edited or copied, so this source is not used unless added,
+   *                  and only makes sense as the last one, e.g. ['filename', 'metadata', 'filesystem']
+   *
+   * Remove a source from the list to disable it.
+   */
+  static DATE_SOURCES = ['filename', 'metadata'];
+
+  /**
+   * Folder that files dated by the 'filesystem' source go to inside their destination,
+   * e.g. "2023/Summer 2023/#Approximate", so they stay apart from the reliably dated files.
+   * Empty puts them together with the other files.
+   */
+  static APPROXIMATE_DATES_FOLDER = '#Approximate';
+
+  /**
+   * Time zone the files are sorted in, e.g. 'Europe/Berlin' or 'UTC'; empty means the time zone of the computer.
+   *
+   * - Times stored in UTC (video containers, "Z" times, Unix timestamps in file names) are converted to it.
+   * - Times stored with their UTC offset (EXIF OffsetTimeOriginal, "+02:00" in file names) are converted to it
+   *   only when it is set; otherwise the local time of the place they were taken at is kept.
+   * - Times without an offset are taken as they are written.
+   *
+   * With a time zone set, files are sorted the same way on every computer.
+   */
+  static TIMEZONE = '';
+
   /**
    * List of regular expressions to extract date information from filenames.
    * Each pattern attempts to match a specific date format in the filename.
-   * The expected named capturing groups are: year, month, and day.
+   * The expected named capturing groups are: year, month, and day,
+   * plus optional hour, minute and second, used to match custom events that start or end at a time of day,
+   * and an optional offset ("Z", "+02:00", "-0530") the time is recorded with (see TIMEZONE).
+   * Instead of the date, the group timestamp may capture a Unix time in seconds or milliseconds.
+   *
+   * Patterns are tried in order, each at every place it matches; a match giving an impossible date
+   * (month 13, 31.02, hour 25) or a year outside MIN_YEAR and MAX_YEAR is skipped and the search goes on.
    */
   static DATE_PATTERNS = [
     // Format: YYYY-MM-DD_HH-MM-SS
     // Matches: IMG_2025-01-25_15-43-22.jpg
-    /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})_\d{2}-\d{2}-\d{2}/,
+    /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})_(?<hour>\d{2})-(?<minute>\d{2})-(?<second>\d{2})/,
+
+    // Format: YYYY-MM-DD at HH.MM.SS
+    // Matches: WhatsApp Image 2025-01-25 at 15.43.22.jpeg
+    /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2}) at (?<hour>\d{2})\.(?<minute>\d{2})\.(?<second>\d{2})/,
 
     // Format: YYYY-MM-DD
     // Matches: IMG_2025-01-25.jpg
@@ -101,7 +390,7 @@ class TimelineMediaSorterSettings {
 
     // Format: DD-MM-YYYY_HH-MM-SS
     // Matches: IMG_25-01-2025_15-43-22.jpg
-    /(?<day>\d{2})-(?<month>\d{2})-(?<year>\d{4})_\d{2}-\d{2}-\d{2}/,
+    /(?<day>\d{2})-(?<month>\d{2})-(?<year>\d{4})_(?<hour>\d{2})-(?<minute>\d{2})-(?<second>\d{2})/,
 
     // Format: DD-MM-YYYY
     // Matches: IMG_25-01-2025.jpg
@@ -109,7 +398,7 @@ class TimelineMediaSorterSettings {
 
     // Format: YYYY.MM.DD-HH.MM.SS
     // Matches: IMG_2025.01.25-12.30.45.jpg
-    /(?<year>\d{4})\.(?<month>\d{2})\.(?<day>\d{2})-\d{2}\.\d{2}\.\d{2}/,
+    /(?<year>\d{4})\.(?<month>\d{2})\.(?<day>\d{2})-(?<hour>\d{2})\.(?<minute>\d{2})\.(?<second>\d{2})/,
 
     // Format: YYYY.MM.DD
     // Matches: IMG_2025.01.25.jpg
@@ -117,21 +406,49 @@ class TimelineMediaSorterSettings {
 
     // Format: DD.MM.YYYY-HH.MM.SS
     // Matches: IMG_25.01.2025-12.30.45.jpg
-    /(?<day>\d{2})\.(?<month>\d{2})\.(?<year>\d{4})-\d{2}\.\d{2}\.\d{2}/,
+    /(?<day>\d{2})\.(?<month>\d{2})\.(?<year>\d{4})-(?<hour>\d{2})\.(?<minute>\d{2})\.(?<second>\d{2})/,
 
     // Format: DD.MM.YYYY
     // Matches: IMG_25.01.2025.jpg
     /(?<day>\d{2})\.(?<month>\d{2})\.(?<year>\d{4})/,
 
-    // Format: YYYYMMDD_HHMMSS
-    // Matches: IMG_20250125_102030.jpg
-    /(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})_\d{6}/,
+    // Format: YYYY_MM_DD
+    // Matches: IMG_2025_01_25.jpg
+    /(?<!\d)(?<year>\d{4})_(?<month>\d{2})_(?<day>\d{2})(?!\d)/,
+
+    // Format: YYYYMMDD_HHMMSS, optionally followed by milliseconds
+    // Matches: IMG_20250125_102030.jpg, PXL_20250125_102030123.jpg
+    /(?<!\d)(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})_(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})(?:\d{3})?(?!\d)/,
+
+    // Format: YYYYMMDD-HHMMSS
+    // Matches: Screenshot_20250125-102030.png
+    /(?<!\d)(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})-(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})(?!\d)/,
+
+    // Format: YYYYMMDD-WA
+    // Matches: IMG-20250125-WA0001.jpg, VID-20250125-WA0001.mp4
+    /(?<!\d)(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})-WA\d+/,
+
+    // Format: Unix time in milliseconds
+    // Matches: 1737800430000.jpg
+    /(?<!\d)(?<timestamp>1\d{12})(?!\d)/,
+
+    // Format: Unix time in seconds
+    // Matches: 1737800430.jpg
+    /(?<!\d)(?<timestamp>1\d{9})(?!\d)/,
 
     // Format: YYYYMMDD
     // Matches: IMG_20250125.jpg
-    /(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})/,
+    /(?<!\d)(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})(?!\d)/,
   ];
 
+  /**
+   * Earliest and latest years a date is accepted with, from the file name or the metadata.
+   * A date outside them is taken as misread, and the next pattern or date source is tried.
+   * MAX_YEAR null means next year.
+   */
+  static MIN_YEAR = 1900;
+  static MAX_YEAR = null;
+
   /**
    * List of recognized photo file extensions.
    * Files with these extensions will be considered image files.
@@ -152,521 +469,4199 @@ class TimelineMediaSorterSettings {
     '.ts', '.mxf', '.f4v', '.m2v', '.mpv', '.qt', '.mng', '.yuv', '.y4m', '.drc',
     '.f4p', '.f4a', '.f4b'
   ];
+
+  /**
+   * Keeps files that share a name in the same folder together, e.g. RAW+JPEG pairs, "IMG_0001.HEIC" with its
+   * Live Photo video "IMG_0001.MOV", or "IMG_0001.JPG" with its sidecar "IMG_0001.xmp" or "IMG_0001.JPG.xmp".
+   * The whole group goes to the destination of its main file: the first dated photo, else the first dated video,
+   * so Live Photo videos are not separated from their stills into the "Videos" folder.
+   */
+  static KEEP_COMPANIONS = true;
+
+  /**
+   * List of sidecar file extensions: files that describe a media file and are never the main file of a group.
+   * A sidecar without a media file of the same name is sorted on its own.
+   */
+  static SIDECAR_EXTENSIONS = ['.xmp', '.aae', '.thm', '.srt'];
 }
 
-class TimelineMediaSorter {
+/**
+ * Emits 'file' with the report record of every file once it is handled (see RunReport.createRecord).
+ */
+class TimelineMediaSorter extends EventEmitter {
+  static DateSources = Object.freeze({
+    FILENAME: 'filename',
+    METADATA: 'metadata',
+    FILESYSTEM: 'filesystem',
+  });
+
+  static Modes = Object.freeze({
+    SORT: 'sort',
+    DRY_RUN: 'dry-run',
+    APPLY_PLAN: 'apply-plan',
+    UNDO: 'undo',
+    CHECK_EVENTS: 'check-events',
+    WATCH: 'watch',
+  });
+
+  static OutputModes = Object.freeze({
+    LINES: 'lines',
+    PROGRESS: 'progress',
+    QUIET: 'quiet',
+    SILENT: 'silent',
+  });
+
+  static InvalidEventsPolicies = Object.freeze({
+    ABORT: 'abort',
+    SKIP: 'skip',
+  });
+
+  static OverlappingEventsPolicies = Object.freeze({
+    PRIORITY: 'priority',
+    MOST_SPECIFIC: 'most-specific',
+    COMBINED: 'combined',
+  });
+
+  static FileStatuses = Object.freeze({
+    MOVED: 'moved',
+    IN_PLACE: 'in-place',
+    UNSUPPORTED_EXT: 'unsupported-ext',
+    UNKNOWN_DATE: 'unknown-date',
+    DUPLICATE: 'duplicate',
+    // Only in run reports: what happened to a file that was not transferred as planned
+    SKIPPED: 'skipped',
+    ERROR: 'error',
+  });
+
+  static TransferModes = Object.freeze({
+    MOVE: 'move',
+    COPY: 'copy',
+    HARDLINK: 'hardlink',
+  });
+
+  static CollisionPolicies = Object.freeze({
+    RENAME: 'rename',
+    SKIP: 'skip',
+    KEEP_NEWER: 'keep-newer',
+    DEDUPE: 'dedupe',
+  });
+
+  static DuplicatesModes = Object.freeze({
+    OFF: 'off',
+    REPORT: 'report',
+    MOVE: 'move',
+  });
+
+  static #PLAN_FILE_NAME = '#TimelineMediaSorterPlan.json';
+  static #PLAN_VERSION = 1;
+  static #JOURNAL_FILE_NAME = '#TimelineMediaSorterJournal.jsonl';
+  static #DUPLICATES_REPORT_FILE_NAME = '#TimelineMediaSorterDuplicates.json';
+  static #LOGS_DIR_NAME = '#TimelineMediaSorterLogs';
+  static #HTML_REPORT_FILE_NAME = '#TimelineMediaSorterReport.html';
+
   #movedFilesLength = 0;
   #skippedFilesLength = 0;
   #deletedFilesLength = 0;
+  #collisions = { renamed: 0, skipped: 0, replaced: 0, duplicatesRemoved: 0 };
+  #dateSourceCounts = new Map();
+  #createdDirs = new Map();
+  #startTime = new Date();
+  #reportRecords = null;
+  #currentRecord = new AsyncLocalStorage();
+  #pendingFiles = new Map();
+  #readyFiles = new Set();
+  #watchBatch = Promise.resolve();
+  // While watching: the files the sorter has just written, to the timers that watch them again
+  #writtenFiles = null;
+  #lastSummaryLength = 0;
+  #aborted = false;
+  #duplicateGroups = [];
+
+  #settings;
+  #sourceRoot;
+  #targetRoot;
+  #transferMode;
+  #journal = null;
 
   #moveFile = util.promisify(fs.rename);
   #mkDir = util.promisify(fs.mkdir);
   #readDir = util.promisify(fs.readdir);
+  #readFile = util.promisify(fs.readFile);
+  #writeFile = util.promisify(fs.writeFile);
   #rm = util.promisify(fs.rm);
+  #unlink = util.promisify(fs.unlink);
+  #copyFile = util.promisify(fs.copyFile);
+  #link = util.promisify(fs.link);
+  #utimes = util.promisify(fs.utimes);
+  #stat = util.promisify(fs.stat);
+
+  /**
+   * `settings` are TimelineMediaSorterSettings itself, or the settings of a single run from SettingsLoader.resolve.
+   */
+  constructor(settings = TimelineMediaSorterSettings) {
+    super();
+    this.#settings = settings;
+    this.#sourceRoot = path.resolve(scriptPath, settings.SOURCE_PATH || '.');
+    this.#targetRoot = path.resolve(scriptPath, settings.TARGET_PATH || this.#sourceRoot);
+    this.#transferMode = settings.TRANSFER_MODE;
+  }
+
+  sort() {
+    // The resolvers, the messages and the output read the settings of the run they are called from
+    return SettingsLoader.run(this.#settings, () => this.#sortWithSettings());
+  }
 
-  async sort() {
+  async #sortWithSettings() {
     LoggerUtils.printHeader();
-    LoggerUtils.cyan(`📂 ${L10n.get(L10n.Keys.SCANNED_DIR)}: ${rootPath}`);
+    // The config file is read only for TimelineMediaSorterSettings, never for a run of the module API
+    if (this.#settings === TimelineMediaSorterSettings && SettingsLoader.configPath) {
+      LoggerUtils.cyan(`⚙️ ${L10n.get(L10n.Keys.CONFIG_LOADED)}: ${SettingsLoader.configPath}`);
+    }
+    LoggerUtils.cyan(`📂 ${L10n.get(L10n.Keys.SCANNED_DIR)}: ${this.#sourceRoot}`);
+    if (this.#targetRoot !== this.#sourceRoot) {
+      LoggerUtils.cyan(`📚 ${L10n.get(L10n.Keys.TARGET_DIR)}: ${this.#targetRoot}`);
+    }
     LoggerUtils.indent('-');
-    const performance = await PerformanceWrapper.getCallbackPerformance(this.#organizeFiles.bind(this));
+    const performance = await PerformanceWrapper.getCallbackPerformance(this.#run.bind(this));
+    ProgressDisplay.stop();
+    const summary = this.#getSummary();
+    // A dry run writes nothing into the library besides its plan, so it leaves the reports and the log to the console
+    const dryRun = this.#settings.MODE === TimelineMediaSorter.Modes.DRY_RUN;
+    if (this.#reportRecords && !dryRun) this.#saveReports(summary);
     LoggerUtils.indent('-');
-    LoggerUtils.cyan(`✅ ${L10n.get(L10n.Keys.MOVED)}: ${this.#movedFilesLength}`);
-    LoggerUtils.cyan(`⚠️ ${L10n.get(L10n.Keys.SKIPPED)}: ${this.#skippedFilesLength}`);
-    LoggerUtils.cyan(`❌ ${L10n.get(L10n.Keys.DELETED)}: ${this.#deletedFilesLength}`);
+    if (dryRun) {
+      LoggerUtils.cyan(`🧪 ${L10n.get(L10n.Keys.DRY_RUN_NOTICE)}`);
+    }
+    summary.forEach(({ icon, label, value }) => LoggerUtils.cyan(`${icon} ${label}: ${value}`));
     LoggerUtils.cyan(`🕒 ${L10n.get(L10n.Keys.OPERATION_TIME)}: ${performance}`);
     LoggerUtils.indent('-');
     LoggerUtils.printFooter();
-    if (TimelineMediaSorterSettings.SAVE_LOGS) {
-      LoggerUtils.saveLogsToFile(rootPath, '#TimelineMediaSorterLogs.txt');
+    if (this.#settings.SAVE_LOGS && !dryRun) {
+      const logsPath = this.#getRunFilePath('txt');
+      LoggerUtils.saveLogsToFile(path.dirname(logsPath), path.basename(logsPath));
     }
-  }
-
-  async #organizeFiles() {
-    const allFiles = (await this.#walkDir(rootPath)).sort();
-
-    for (const filePath of allFiles) {
-      const { fileName, fileExt } = this.#getFileNames(filePath);
-      const dateInfo = this.#parseDateFromFilename(fileName);
-      const supported = this.#isFileSupported(fileExt);
-      const { targetDir, unsupportedDate } = this.#getTargetDestination(filePath, fileExt, dateInfo, supported);
-      const targetPath = path.join(targetDir, fileName);
-
-      if (filePath === targetPath) {
-        this.#logWarning(L10n.Keys.IN_PLACE, filePath, '☑️');
-        this.#skippedFilesLength++;
-        continue;
-      }
-
-      if (!await this.#safeMkDir(targetDir)) continue;
-
-      if (!await this.#safeMoveFile(filePath, targetPath)) continue;
 
-      this.#logResult(filePath, targetDir, supported, unsupportedDate);
-    }
+    return this.#getResult();
+  }
 
-    await this.#deleteEmptyDirs(rootPath);
+  /**
+   * Returns what `sort` resolves with: `aborted` is `true` when invalid custom events stopped the run
+   * (see INVALID_EVENTS), `files` are the report records of the files, the rest is the summary.
+   */
+  #getResult() {
+    return {
+      aborted: this.#aborted,
+      files: this.#reportRecords || [],
+      moved: this.#movedFilesLength,
+      skipped: this.#skippedFilesLength,
+      deleted: this.#deletedFilesLength,
+      dateSources: Object.fromEntries([...this.#dateSourceCounts].map(([source, count]) => [source || 'none', count])),
+      collisions: { ...this.#collisions },
+      duplicateGroups: this.#duplicateGroups,
+    };
   }
 
-  #getFileNames(filePath) {
-    const fileName = path.basename(filePath);
-    const fileExt = path.extname(filePath).toLowerCase();
-    return { fileName, fileExt };
+  /**
+   * Returns the path of a file of this run in the logs folder, named after the time the run started.
+   */
+  #getRunFilePath(ext) {
+    const { year, month, day, hour, minute, second } = Utils.toDateParts(Utils.toWallClock(this.#startTime, ''));
+    const fileName = `${year}-${month}-${day} ${hour}-${minute}-${second}.${ext}`;
+    return path.join(this.#targetRoot, TimelineMediaSorter.#LOGS_DIR_NAME, fileName);
   }
 
-  #parseDateFromFilename(filename) {
-    for (const pattern of TimelineMediaSorterSettings.DATE_PATTERNS) {
-      const match = filename.match(pattern);
-      if (match?.groups) {
-        const { year, month, day } = match.groups;
-        return { year, month, day };
-      }
+  #saveReports(summary) {
+    const reports = this.#settings.REPORT_FORMATS.map(format => [
+      this.#getRunFilePath(format),
+      reportPath => RunReport.write(reportPath, format, this.#reportRecords),
+    ]);
+
+    if (this.#settings.HTML_REPORT) {
+      reports.push([
+        path.join(this.#targetRoot, TimelineMediaSorter.#HTML_REPORT_FILE_NAME),
+        reportPath => HtmlReport.write(reportPath, {
+          createdAt: this.#startTime,
+          targetRoot: this.#targetRoot,
+          records: this.#reportRecords,
+          summary,
+        }),
+      ]);
     }
 
-    return null;
+    for (const [reportPath, write] of reports) {
+      try {
+        write(reportPath);
+        LoggerUtils.cyan(`📊 ${L10n.get(L10n.Keys.REPORT_SAVED)}: ${reportPath}`);
+      } catch (err) {
+        this.#logError(L10n.Keys.ERROR_WRITING_REPORT, reportPath, err);
+      }
+    }
   }
 
-  #isFileSupported(fileExt) {
-    return TimelineMediaSorterSettings.PHOTO_EXTENSIONS.includes(fileExt) ||
-      TimelineMediaSorterSettings.VIDEO_EXTENSIONS.includes(fileExt);
+  /**
+   * Returns the lines of the summary as `{ icon, label, value }`, shared by the console and the HTML report.
+   */
+  #getSummary() {
+    if (this.#settings.MODE === TimelineMediaSorter.Modes.CHECK_EVENTS) return [];
+
+    return [
+      { icon: '✅', label: L10n.get(this.#getTransferredKey()), value: this.#movedFilesLength },
+      { icon: '⚠️', label: L10n.get(L10n.Keys.SKIPPED), value: this.#skippedFilesLength },
+      { icon: '❌', label: L10n.get(L10n.Keys.DELETED), value: this.#deletedFilesLength },
+      this.#getDateSourcesSummary(),
+      this.#getCollisionsSummary(),
+      this.#getDuplicatesSummary(),
+    ].filter(Boolean);
   }
 
-  #getTargetDestination(filePath, fileExt, dateInfo, supported) {
-    return (supported && dateInfo)
-      ? { targetDir: this.#resolveKnownDateDestination(fileExt, dateInfo), unsupportedDate: null }
-      : { targetDir: this.#resolveUnknownDateDestination(filePath, supported), unsupportedDate: supported };
+  /**
+   * Changes the report record of the file being executed; does nothing outside `#executePlan`.
+   */
+  #updateRecord(changes) {
+    const record = this.#currentRecord.getStore();
+    if (record) Object.assign(record, changes);
   }
 
-  #resolveKnownDateDestination(fileExt, dateInfo) {
-    const { year, month, day } = dateInfo;
-    const mediaDate = Utils.normalizedStart(year, month, day);
-    const customEvent = EventsResolver.getCustomEventMatch(mediaDate);
+  async #run() {
+    switch (this.#settings.MODE) {
+      case TimelineMediaSorter.Modes.CHECK_EVENTS:
+        return this.#checkEvents();
+      case TimelineMediaSorter.Modes.DRY_RUN:
+        return this.#checkEvents() && this.#dryRun();
+      case TimelineMediaSorter.Modes.APPLY_PLAN:
+        return this.#applyPlan();
+      case TimelineMediaSorter.Modes.UNDO:
+        return this.#undo();
+      case TimelineMediaSorter.Modes.WATCH:
+        return this.#checkEvents() && this.#watch();
+      default:
+        return this.#checkEvents() && this.#withJournal(this.#organizeFiles.bind(this));
+    }
+  }
 
-    let targetDir = customEvent
-      ? path.join(rootPath, ...EventsResolver.getCustomEventPath(customEvent))
-      : path.join(rootPath, year, `${this.#getSeasonName(month)} ${year}`);
+  /**
+   * Lists the invalid entries of CUSTOM_EVENTS_DATES and the calendar events that cannot be imported.
+   * Returns `false` when the files must not be sorted because of the invalid entries.
+   */
+  #checkEvents() {
+    const invalidEvents = EventsResolver.validate();
+    const checkOnly = this.#settings.MODE === TimelineMediaSorter.Modes.CHECK_EVENTS;
+    const abort = checkOnly
+      || this.#settings.INVALID_EVENTS === TimelineMediaSorter.InvalidEventsPolicies.ABORT;
+
+    for (const { name, dates, reason } of invalidEvents) {
+      const description = `${name}: ${dates} — ${L10n.get(reason)}`;
+      abort
+        ? LoggerUtils.red(`⛔ ${L10n.get(L10n.Keys.INVALID_EVENT)}: ${description}`)
+        : this.#logWarning(L10n.Keys.SKIPPED_EVENT, description);
+    }
 
-    if (TimelineMediaSorterSettings.VIDEO_EXTENSIONS.includes(fileExt)) {
-      targetDir = path.join(targetDir, L10n.get(L10n.Keys.VIDEO_DIR_NAME));
+    for (const { name, dates, reason } of CalendarReader.getSkippedEvents(this.#settings.CALENDAR_FILES)) {
+      this.#logWarning(L10n.Keys.SKIPPED_CALENDAR_EVENT, `${name}: ${dates} — ${L10n.get(reason)}`);
     }
 
-    return targetDir;
-  }
+    if (checkOnly) {
+      const overlaps = EventsResolver.findOverlaps();
+      overlaps.forEach(overlap => this.#logOverlap(overlap));
 
-  #resolveUnknownDateDestination(filePath, supported) {
-    const folderName = supported
-      ? L10n.get(L10n.Keys.UNKNOWN_DATES_DIR_NAME)
-      : L10n.get(L10n.Keys.UNKNOWN_FILES_DIR_NAME);
+      LoggerUtils.cyan(`📅 ${L10n.get(L10n.Keys.EVENTS_CHECKED)}: ${EventsResolver.getEntriesCount()}, `
+        + `${L10n.get(L10n.Keys.INVALID_EVENTS)}: ${invalidEvents.length}, `
+        + `${L10n.get(L10n.Keys.OVERLAPPING_EVENTS)}: ${overlaps.length}`);
+    } else if (abort && invalidEvents.length) {
+      LoggerUtils.red(`⛔ ${L10n.get(L10n.Keys.SORTING_ABORTED)}`);
+    }
 
-    const relativeDir = path.relative(rootPath, path.dirname(filePath));
-    return path.join(rootPath, folderName, relativeDir);
-  }
+    if (abort && invalidEvents.length) {
+      this.#aborted = true;
+      return false;
+    }
 
-  #getSeasonName(month) {
-    const m = parseInt(month, 10);
-    if ([12, 1, 2].includes(m)) return L10n.get(L10n.Keys.WINTER);
-    if ([3, 4, 5].includes(m)) return L10n.get(L10n.Keys.SPRING);
-    if ([6, 7, 8].includes(m)) return L10n.get(L10n.Keys.SUMMER);
-    if ([9, 10, 11].includes(m)) return L10n.get(L10n.Keys.AUTUMN);
-    return L10n.get(L10n.Keys.UNKNOWN);
+    return true;
   }
 
-  async #safeMkDir(targetDir) {
+  async #withJournal(callback) {
+    const journalPath = path.join(this.#targetRoot, TimelineMediaSorter.#JOURNAL_FILE_NAME);
+
     try {
-      await this.#mkDir(targetDir, { recursive: true });
-      return true;
+      // The library folder may not exist before the first run into it
+      await this.#mkDir(this.#targetRoot, { recursive: true });
+      this.#journal = RunJournal.start(journalPath, {
+        sourceRoot: this.#sourceRoot,
+        targetRoot: this.#targetRoot,
+        mode: this.#settings.MODE,
+        transferMode: this.#transferMode,
+      });
     } catch (err) {
-      this.#logError(L10n.Keys.ERROR_MK_DIR, targetDir, err);
-      this.#skippedFilesLength++;
-      return false;
+      this.#logError(L10n.Keys.ERROR_WRITING_JOURNAL, journalPath, err);
+      return;
     }
-  }
 
-  async #safeMoveFile(filePath, targetPath) {
     try {
-      await this.#moveFile(filePath, targetPath);
-      return true;
-    } catch (err) {
-      this.#logError(L10n.Keys.ERROR_MOVING, filePath, err);
-      this.#skippedFilesLength++;
-      return false;
+      await callback();
+    } finally {
+      this.#journal.close();
+      this.#journal = null;
     }
   }
 
-  async #walkDir(dir, fileList = []) {
-    let entries;
+  async #organizeFiles() {
+    const plan = await this.#buildPlan();
+
+    await this.#executePlan(plan);
+
+    if (this.#transferMode === TimelineMediaSorter.TransferModes.MOVE) {
+      ProgressDisplay.start(ProgressDisplay.Phases.CLEANUP);
+      await this.#deleteEmptyDirs(this.#sourceRoot);
+    }
+  }
+
+  /**
+   * Sorts the folder once, then sorts the files added to it until the process is stopped.
+   * A file is picked up when its size stops changing, and waits until no other new file is still being copied,
+   * so files copied together, like a photo and its Live Photo video, are planned together.
+   */
+  async #watch() {
+    await this.#withJournal(this.#organizeFiles.bind(this));
+    ProgressDisplay.stop();
+    this.#lastSummaryLength = this.#reportRecords?.length || 0;
+
+    let watcher;
+    this.#writtenFiles = new Map();
 
     try {
-      entries = await this.#readDir(dir, { withFileTypes: true });
+      watcher = fs.watch(this.#sourceRoot, { recursive: true }, (eventType, fileName) => {
+        if (fileName) this.#onWatchedChange(path.join(this.#sourceRoot, fileName.toString()));
+      });
     } catch (err) {
-      this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
-      return fileList;
+      this.#logError(L10n.Keys.ERROR_WATCHING, this.#sourceRoot, err);
+      return;
     }
 
-    for (const entry of entries) {
-      const entryName = entry.name;
-      const fullPath = path.join(dir, entryName);
+    LoggerUtils.cyan(`👀 ${L10n.get(L10n.Keys.WATCHING)}: ${this.#sourceRoot}`);
+
+    await new Promise((resolve) => {
+      const summaryTimer = setInterval(() => this.#printWatchSummary(),
+        this.#settings.WATCH_SUMMARY_MINUTES * 60 * 1000);
+
+      // Signals come outside of the run, so the handler is bound to its settings
+      const stop = AsyncResource.bind(() => {
+        watcher.close();
+        clearInterval(summaryTimer);
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        this.#pendingFiles.forEach(({ timer }) => clearTimeout(timer));
+        this.#pendingFiles.clear();
+        this.#writtenFiles.forEach(timer => clearTimeout(timer));
+        this.#writtenFiles.clear();
+        LoggerUtils.cyan(`🛑 ${L10n.get(L10n.Keys.WATCH_STOPPED)}`);
+        // The files being sorted right now are finished first, so no move is cut in half
+        this.#watchBatch.then(resolve);
+      });
+
+      watcher.on('error', (err) => {
+        this.#logError(L10n.Keys.ERROR_WATCHING, this.#sourceRoot, err);
+        stop();
+      });
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    });
+  }
 
-      const isIgnoredDir = entry.isDirectory() && (
-        TimelineMediaSorterSettings.IGNORED_DIRECTORIES
-          .some(ignored => ignored.toLowerCase() === entryName.toLowerCase())
-        || entryName.startsWith('.')
-      );
+  /**
+   * (Re)starts the wait of a changed file; every change during the copy starts the wait over.
+   */
+  #onWatchedChange(filePath) {
+    if (this.#isOwnChange(filePath) || !this.#isWatchedPath(filePath)) return;
 
-      const isIgnoredFile = entry.isFile() &&
-        TimelineMediaSorterSettings.IGNORED_FILES
-          .some(ignored => ignored.toLowerCase() === entryName.toLowerCase());
+    const pending = this.#pendingFiles.get(filePath);
+    clearTimeout(pending?.timer);
 
-      if (isIgnoredDir || isIgnoredFile) {
-        continue;
-      }
+    this.#pendingFiles.set(filePath, {
+      stats: pending?.stats || null,
+      timer: setTimeout(() => this.#checkWatchedFile(filePath), this.#settings.WATCH_STABLE_SECONDS * 1000),
+    });
+  }
 
-      if (entry.isDirectory()) {
-        await this.#walkDir(fullPath, fileList);
-      } else {
-        fileList.push(fullPath);
-      }
-    }
+  /**
+   * Tells whether the change comes from the sorter writing the file.
+   */
+  #isOwnChange(filePath) {
+    if (!this.#writtenFiles.has(filePath)) return false;
 
-    return fileList;
+    this.#markWritten(filePath);
+    return true;
   }
 
-  async #deleteEmptyDirs(dir) {
-    let entries;
+  /**
+   * Mutes the changes of a file the sorter wrote; the file is watched again
+   * once it has had no changes for WATCH_STABLE_SECONDS.
+   */
+  #markWritten(filePath) {
+    clearTimeout(this.#writtenFiles.get(filePath));
+    this.#writtenFiles.set(filePath, setTimeout(() => this.#writtenFiles.delete(filePath),
+      this.#settings.WATCH_STABLE_SECONDS * 1000));
+  }
+
+  async #checkWatchedFile(filePath) {
+    const pending = this.#pendingFiles.get(filePath);
+    if (!pending) return;
+
+    let stats = null;
 
     try {
-      entries = await this.#readDir(dir, { withFileTypes: true });
+      stats = await this.#stat(filePath);
     } catch (err) {
-      this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+      // The file was removed or moved away, e.g. by the sorter itself
+      if (err.code !== 'ENOENT') this.#logError(L10n.Keys.ERROR_READING_FILE, filePath, err);
+    }
+
+    if (stats?.isFile() && (stats.size !== pending.stats?.size || stats.mtimeMs !== pending.stats?.mtimeMs)) {
+      pending.stats = stats;
+      pending.timer = setTimeout(() => this.#checkWatchedFile(filePath), this.#settings.WATCH_STABLE_SECONDS * 1000);
       return;
     }
 
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
+    this.#pendingFiles.delete(filePath);
 
-      if (!entry.isDirectory()) continue;
+    if (stats?.isFile()) {
+      this.#readyFiles.add(filePath);
+    } else if (stats?.isDirectory() && !this.#isIgnoredDir(filePath, path.basename(filePath))) {
+      // A folder moved in as a whole may report only itself, so its files are waited for one by one
+      (await this.#walkDir(filePath)).forEach(file => this.#onWatchedChange(file));
+    }
 
-      await this.#deleteEmptyDirs(fullPath);
+    this.#sortReadyFiles();
+  }
 
-      let remaining;
+  #sortReadyFiles() {
+    if (this.#pendingFiles.size || !this.#readyFiles.size) return;
 
-      try {
-        remaining = await this.#readDir(fullPath);
-      } catch (err) {
+    const files = [...this.#readyFiles];
+    this.#readyFiles.clear();
+    // A failed group must not stop the watching, the next files are sorted as usual
+    this.#watchBatch = this.#watchBatch
+      .then(() => this.#organizeWatchedFiles(files))
+      .catch(err => this.#logError(L10n.Keys.ERROR_SORTING_WATCHED, this.#sourceRoot, err));
+  }
+
+  /**
+   * Sorts the new files the same way as `#organizeFiles`, as a run of its own that can be undone.
+   * The files already in their place, like the ones the sorter has just moved into the watched folder, are left out.
+   */
+  async #organizeWatchedFiles(files) {
+    // Folders may have been removed since the previous files were sorted
+    this.#createdDirs.clear();
+
+    try {
+      const plan = (await this.#buildPlan(files))
+        .filter(({ status }) => status !== TimelineMediaSorter.FileStatuses.IN_PLACE);
+
+      if (plan.length) {
+        await this.#withJournal(async () => {
+          await this.#executePlan(plan);
+
+          if (this.#transferMode === TimelineMediaSorter.TransferModes.MOVE) {
+            await this.#deleteEmptiedDirs(plan.map(({ source }) => path.dirname(source)));
+          }
+        });
+      }
+    } finally {
+      ProgressDisplay.stop();
+    }
+  }
+
+  /**
+   * Removes the folders left empty by the moves, and their parents that became empty, up to the scanned folder.
+   */
+  async #deleteEmptiedDirs(dirs) {
+    const isInsideRoot = dir => dir.startsWith(this.#sourceRoot + path.sep);
+    const sortedDirs = [...new Set(dirs)].sort().reverse();
+
+    for (let dir of sortedDirs) {
+      for (; isInsideRoot(dir); dir = path.dirname(dir)) {
+        let remaining;
+
+        try {
+          remaining = await this.#readDir(dir);
+        } catch (err) {
+          if (err.code !== 'ENOENT') this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+          break;
+        }
+
+        if (remaining.length) break;
+
+        await this.#removeDir(dir);
+      }
+    }
+  }
+
+  /**
+   * Tells whether a change in the scanned folder may be a file to sort: the ignored folders and files,
+   * and the folders the sorter fills with unsorted files, are skipped the same way as by the scan.
+   * The folders the sorter has moved files into are skipped too, so the files it has just sorted
+   * into the scanned folder are not waited for and planned again.
+   */
+  #isWatchedPath(filePath) {
+    const ownDirs = [L10n.Keys.UNKNOWN_DATES_DIR_NAME, L10n.Keys.UNKNOWN_FILES_DIR_NAME]
+      .map(key => path.join(this.#targetRoot, L10n.get(key)));
+    if (ownDirs.some(dir => filePath.startsWith(dir + path.sep))) return false;
+
+    const names = path.relative(this.#sourceRoot, filePath).split(path.sep);
+    const fileName = names.pop();
+    let dir = this.#sourceRoot;
+
+    for (const name of names) {
+      dir = path.join(dir, name);
+      if (this.#isIgnoredDir(dir, name)) return false;
+    }
+
+    return !this.#isIgnoredFile(fileName);
+  }
+
+  #printWatchSummary() {
+    const recordsLength = this.#reportRecords?.length || 0;
+    if (recordsLength === this.#lastSummaryLength) return;
+
+    this.#lastSummaryLength = recordsLength;
+    const summary = this.#getSummary();
+
+    LoggerUtils.indent('-');
+    LoggerUtils.cyan(`👀 ${L10n.get(L10n.Keys.WATCH_SUMMARY)}`);
+    summary.forEach(({ icon, label, value }) => LoggerUtils.cyan(`${icon} ${label}: ${value}`));
+    this.#saveReports(summary);
+    LoggerUtils.indent('-');
+  }
+
+  #logOverlap({ first, second, ranges, winner }) {
+    const formatDay = date => `${String(date.getUTCDate()).padStart(2, '0')}.${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    const formatYears = years => years
+      .reduce((spans, year) => {
+        const last = spans[spans.length - 1];
+        last && last[1] === year - 1 ? last[1] = year : spans.push([year, year]);
+        return spans;
+      }, [])
+      .map(([from, to]) => from === to ? from : `${from}-${to}`)
+      .join(', ');
+
+    // The same days shared every year are listed once with the years they are shared in
+    const yearsByDays = new Map();
+    for (const { start, end } of ranges) {
+      const days = start.getTime() === end.getTime() ? formatDay(start) : `${formatDay(start)}-${formatDay(end)}`;
+      yearsByDays.set(days, [...(yearsByDays.get(days) || []), start.getUTCFullYear()]);
+    }
+
+    const sharedDays = [...yearsByDays].map(([days, years]) => `${days} (${formatYears(years)})`).join('; ');
+    this.#logWarning(L10n.Keys.OVERLAPPING_EVENT, `${first} ↔ ${second}: ${sharedDays} → ${winner}`, '🔀');
+  }
+
+  async #dryRun() {
+    const plan = await this.#buildPlan();
+    ProgressDisplay.stop();
+    const { createdDirs, deletedDirs } = await this.#simulateDirChanges(plan);
+
+    const collisions = this.#findPlannedCollisions(plan);
+
+    this.#printPlan(plan, createdDirs, deletedDirs, collisions);
+    this.#reportRecords = plan.map(entry => RunReport.createRecord(entry));
+    this.#reportRecords.forEach(record => this.emit('file', record));
+
+    plan.forEach(({ status }) => status === TimelineMediaSorter.FileStatuses.MOVED
+      ? this.#movedFilesLength++
+      : this.#skippedFilesLength++);
+    this.#deletedFilesLength += deletedDirs.length;
+
+    const planPath = path.join(this.#targetRoot, TimelineMediaSorter.#PLAN_FILE_NAME);
+    const planFile = {
+      version: TimelineMediaSorter.#PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      sourceRoot: this.#sourceRoot,
+      targetRoot: this.#targetRoot,
+      transferMode: this.#transferMode,
+      files: plan.map(entry => ({
+        source: path.relative(this.#sourceRoot, entry.source),
+        target: path.relative(this.#targetRoot, entry.target),
+        status: entry.status,
+        ...(entry.date && { date: entry.date }),
+        ...(entry.event && { event: entry.event }),
+        ...(entry.companionOf && { companionOf: path.relative(this.#sourceRoot, entry.companionOf) }),
+        ...(collisions.includes(entry) && { collision: true }),
+      })),
+      createdDirs: createdDirs.map(dir => path.relative(this.#targetRoot, dir)),
+      deletedDirs: deletedDirs.map(dir => path.relative(this.#sourceRoot, dir)),
+    };
+
+    try {
+      await this.#mkDir(this.#targetRoot, { recursive: true });
+      await this.#writeFile(planPath, JSON.stringify(planFile, null, 2), 'utf-8');
+      LoggerUtils.cyan(`💾 ${L10n.get(L10n.Keys.PLAN_SAVED)}: ${planPath}`);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_WRITING_PLAN, planPath, err);
+    }
+  }
+
+  async #applyPlan() {
+    const planPath = path.join(this.#targetRoot, TimelineMediaSorter.#PLAN_FILE_NAME);
+    let planFile;
+
+    try {
+      planFile = JSON.parse(await this.#readFile(planPath, 'utf-8'));
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_READING_PLAN, planPath, err);
+      return;
+    }
+
+    if (planFile?.version !== TimelineMediaSorter.#PLAN_VERSION || !Array.isArray(planFile.files)) {
+      this.#logError(L10n.Keys.ERROR_READING_PLAN, planPath, new Error(L10n.get(L10n.Keys.INVALID_PLAN)));
+      return;
+    }
+
+    LoggerUtils.cyan(`📋 ${L10n.get(L10n.Keys.APPLYING_PLAN)}: ${planPath}`);
+    LoggerUtils.indent('-');
+
+    // The plan is executed exactly as it was reviewed, with its own folders and transfer mode.
+    // Plans saved before separate folders were supported only have `rootPath` and always move
+    this.#sourceRoot = planFile.sourceRoot || planFile.rootPath;
+    this.#targetRoot = planFile.targetRoot || planFile.rootPath;
+    this.#transferMode = planFile.transferMode || TimelineMediaSorter.TransferModes.MOVE;
+
+    await this.#withJournal(async () => {
+      await this.#executePlan(planFile.files.map(({ source, target, status, date = null, event = null }) => {
+        const sourcePath = path.join(this.#sourceRoot, source);
+        const targetPath = path.join(this.#targetRoot, target);
+        return { source: sourcePath, target: targetPath, targetDir: path.dirname(targetPath), status, date, event };
+      }));
+
+      const deletedDirs = planFile.deletedDirs || [];
+      ProgressDisplay.start(ProgressDisplay.Phases.CLEANUP, deletedDirs.length);
+
+      for (const dir of deletedDirs) {
+        await this.#deleteDirIfEmpty(path.join(this.#sourceRoot, dir));
+        ProgressDisplay.advance();
+      }
+    });
+  }
+
+  async #undo() {
+    const journalPath = path.join(this.#targetRoot, TimelineMediaSorter.#JOURNAL_FILE_NAME);
+    let run;
+
+    try {
+      run = RunJournal.readLastRun(journalPath);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_READING_JOURNAL, journalPath, err);
+      return;
+    }
+
+    if (!run) {
+      LoggerUtils.yellow(`⚠️ ${L10n.get(L10n.Keys.NOTHING_TO_UNDO)}`);
+      return;
+    }
+
+    LoggerUtils.cyan(`↩️ ${L10n.get(L10n.Keys.UNDOING_RUN)}: ${run.id}`);
+    LoggerUtils.indent('-');
+
+    const createdDirs = [];
+    ProgressDisplay.start(ProgressDisplay.Phases.MOVE, run.records.length);
+
+    for (const record of [...run.records].reverse()) {
+      ProgressDisplay.advance();
+
+      switch (record.type) {
+        case RunJournal.RecordTypes.RMDIR:
+          await this.#undoDeletedDir(path.join(run.sourceRoot, record.dir));
+          break;
+        case RunJournal.RecordTypes.MOVE:
+          await this.#undoMove(record, run);
+          break;
+        case RunJournal.RecordTypes.COPY:
+        case RunJournal.RecordTypes.LINK:
+          await this.#undoCopy(record, run);
+          break;
+        case RunJournal.RecordTypes.REMOVE_DUPLICATE:
+          await this.#undoRemovedDuplicate(record, run);
+          break;
+        case RunJournal.RecordTypes.REPLACE:
+          await this.#undoReplaced(record, run);
+          break;
+        case RunJournal.RecordTypes.MKDIR:
+          createdDirs.push(...record.dirs);
+          break;
+      }
+    }
+
+    // Folders created at the same time may be journaled in any order, so they are removed
+    // once all files are back, in reverse order of their paths: every subfolder before its parent
+    for (const dir of createdDirs.sort().reverse()) {
+      await this.#deleteDirIfEmpty(path.join(run.targetRoot, dir));
+    }
+
+    try {
+      RunJournal.markUndone(journalPath, run.id);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_WRITING_JOURNAL, journalPath, err);
+    }
+  }
+
+  async #undoDeletedDir(dir) {
+    try {
+      await this.#mkDir(dir, { recursive: true });
+      LoggerUtils.detail(() => LoggerUtils.green(`📁 ${L10n.get(L10n.Keys.RECREATED_DIR)}: ${dir}`));
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_MK_DIR, dir, err);
+    }
+  }
+
+  async #undoMove({ source, target, size, mtimeMs }, run) {
+    const sourcePath = path.join(run.sourceRoot, source);
+    const targetPath = path.join(run.targetRoot, target);
+    const targetStats = await this.#stat(targetPath).catch(() => null);
+    const sourceStats = await this.#stat(sourcePath).catch(() => null);
+
+    if (!targetStats) {
+      // The run was interrupted before this move happened: nothing to revert
+      if (sourceStats) return;
+
+      this.#logWarning(L10n.Keys.FILE_MISSING_SINCE, targetPath);
+      this.#skippedFilesLength++;
+      return;
+    }
+
+    if (sourceStats) {
+      // A move between drives was interrupted after copying: drop the copy
+      if (await BinaryFile.contentEquals(sourcePath, targetPath).catch(() => false)) {
+        await this.#removeCopy(targetPath);
+        return;
+      }
+
+      // The move failed and keep-newer put back the file it was to replace: nothing to revert
+      if (sourceStats.size === size && sourceStats.mtimeMs === mtimeMs) return;
+
+      this.#logWarning(L10n.Keys.SOURCE_OCCUPIED, `${targetPath} → ${sourcePath}`);
+      this.#skippedFilesLength++;
+      return;
+    }
+
+    if (targetStats.size !== size || targetStats.mtimeMs !== mtimeMs) {
+      this.#logWarning(L10n.Keys.FILE_CHANGED_SINCE, targetPath);
+    }
+
+    if (!await this.#safeMkDir(path.dirname(sourcePath))) return;
+
+    if (!await this.#safeMoveFile(targetPath, sourcePath)) return;
+
+    this.#movedFilesLength++;
+    this.#logSuccess(L10n.Keys.RESTORED, `${targetPath} → ${sourcePath}`);
+  }
+
+  async #undoCopy({ target, size }, run) {
+    const targetPath = path.join(run.targetRoot, target);
+    const targetStats = await this.#stat(targetPath).catch(() => null);
+
+    // The run was interrupted before this copy was made, or it is already gone
+    if (!targetStats) return;
+
+    if (targetStats.size !== size) {
+      this.#logWarning(L10n.Keys.FILE_CHANGED_SINCE, targetPath);
+      this.#skippedFilesLength++;
+      return;
+    }
+
+    await this.#removeCopy(targetPath);
+  }
+
+  async #removeCopy(filePath) {
+    try {
+      await this.#unlink(filePath);
+      this.#movedFilesLength++;
+      this.#logSuccess(L10n.Keys.REMOVED_COPY, filePath);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RESTORING, filePath, err);
+      this.#skippedFilesLength++;
+    }
+  }
+
+  async #undoRemovedDuplicate({ source, target }, run) {
+    const sourcePath = path.join(run.sourceRoot, source);
+    const targetPath = path.join(run.targetRoot, target);
+
+    // The run was interrupted before the duplicate was removed: nothing to revert
+    if (await this.#stat(sourcePath).catch(() => null)) return;
+
+    try {
+      await this.#mkDir(path.dirname(sourcePath), { recursive: true });
+      await this.#copyFile(targetPath, sourcePath, fs.constants.COPYFILE_EXCL);
+      this.#movedFilesLength++;
+      this.#logSuccess(L10n.Keys.RESTORED, `${targetPath} → ${sourcePath}`);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RESTORING, sourcePath, err);
+      this.#skippedFilesLength++;
+    }
+  }
+
+  /**
+   * Puts a replaced file back once the newer file that took its place has been moved back.
+   */
+  async #undoReplaced({ target, replaced }, run) {
+    const targetPath = path.join(run.targetRoot, target);
+    const replacedPath = path.join(run.targetRoot, replaced);
+
+    // The run was interrupted before the file was moved aside: nothing to revert
+    if (!await this.#stat(replacedPath).catch(() => null)) return;
+
+    if (await this.#stat(targetPath).catch(() => null)) {
+      this.#logWarning(L10n.Keys.SOURCE_OCCUPIED, `${replacedPath} → ${targetPath}`);
+      this.#skippedFilesLength++;
+      return;
+    }
+
+    if (!await this.#safeMoveFile(replacedPath, targetPath)) return;
+
+    this.#movedFilesLength++;
+    this.#logSuccess(L10n.Keys.RESTORED, `${replacedPath} → ${targetPath}`);
+  }
+
+  /**
+   * Plans the given files, or every file in the scanned folder.
+   */
+  async #buildPlan(files = null) {
+    ProgressDisplay.start(ProgressDisplay.Phases.SCAN);
+    const allFiles = (files || await this.#walkDir(this.#sourceRoot)).sort();
+
+    ProgressDisplay.start(ProgressDisplay.Phases.PLAN, allFiles.length);
+    const duplicates = await this.#detectDuplicates(allFiles);
+    const plan = await Utils.mapConcurrent(allFiles, this.#settings.CONCURRENCY, async (filePath) => {
+      const entry = duplicates.has(filePath) ? this.#planDuplicate(filePath) : await this.#planFile(filePath);
+      ProgressDisplay.advance();
+      return entry;
+    });
+
+    return this.#settings.KEEP_COMPANIONS ? this.#keepCompanionsTogether(plan) : plan;
+  }
+
+  /**
+   * Sends every file sharing a name with a media file in the same folder to the destination of that media file.
+   */
+  #keepCompanionsTogether(plan) {
+    const groups = new Map();
+
+    for (const entry of plan) {
+      if (entry.status === TimelineMediaSorter.FileStatuses.DUPLICATE) continue;
+
+      const key = this.#getCompanionKey(entry.source);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    const mainEntries = new Map();
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      // Dated files first, photos before videos; the sort is stable, so the first file by path wins a tie
+      const [mainEntry] = group
+        .filter(({ source }) => !this.#isSidecar(source) && this.#isFileSupported(this.#getFileNames(source).fileExt))
+        .sort((a, b) => this.#getMainEntryRank(a) - this.#getMainEntryRank(b));
+
+      if (!mainEntry) continue;
+
+      group.filter(entry => entry !== mainEntry).forEach(entry => mainEntries.set(entry, mainEntry));
+    }
+
+    return plan.map(entry => mainEntries.has(entry) ? this.#planCompanion(entry, mainEntries.get(entry)) : entry);
+  }
+
+  /**
+   * Returns the name files of a group share: the file name without its extension, also without
+   * the media extension a sidecar may keep, e.g. "IMG_0001" for "IMG_0001.CR2.xmp".
+   */
+  #getCompanionKey(filePath) {
+    const { dir, name } = path.parse(filePath);
+    const innerExt = path.extname(name).toLowerCase();
+    const baseName = this.#isSidecar(filePath) && this.#isFileSupported(innerExt) ? path.parse(name).name : name;
+    return path.join(dir, baseName.toLowerCase());
+  }
+
+  #getMainEntryRank({ source, dateSource }) {
+    const isVideo = this.#settings.VIDEO_EXTENSIONS.includes(this.#getFileNames(source).fileExt);
+    return (dateSource ? 0 : 2) + (isVideo ? 1 : 0);
+  }
+
+  #isSidecar(filePath) {
+    const { fileExt } = this.#getFileNames(filePath);
+    return this.#settings.SIDECAR_EXTENSIONS.some(ext => ext.toLowerCase() === fileExt);
+  }
+
+  #planCompanion({ source }, mainEntry) {
+    const { FileStatuses } = TimelineMediaSorter;
+    const { targetDir, date, dateSource, event } = mainEntry;
+    const target = path.join(targetDir, path.basename(source));
+
+    let status = FileStatuses.MOVED;
+    if (source === target) status = FileStatuses.IN_PLACE;
+    else if (!dateSource) status = FileStatuses.UNKNOWN_DATE;
+
+    return { source, target, targetDir, status, date, dateSource, event, companionOf: mainEntry.source };
+  }
+
+  /**
+   * Runs the duplicate detection configured by DUPLICATES_MODE and saves its report;
+   * a dry run leaves the report to its printed plan, as it writes nothing into the library besides the plan file.
+   * Returns the set of duplicate files that must be moved to the duplicates folder.
+   */
+  async #detectDuplicates(files) {
+    const { DuplicatesModes } = TimelineMediaSorter;
+    const mode = this.#settings.DUPLICATES_MODE;
+    if (mode !== DuplicatesModes.REPORT && mode !== DuplicatesModes.MOVE) return new Set();
+
+    this.#duplicateGroups = await this.#findDuplicateGroups(files);
+    const duplicates = mode === DuplicatesModes.MOVE
+      ? new Set(this.#duplicateGroups.flatMap(group => group.duplicates))
+      : new Set();
+
+    if (this.#settings.MODE === TimelineMediaSorter.Modes.DRY_RUN) return duplicates;
+
+    const reportPath = path.join(this.#targetRoot, TimelineMediaSorter.#DUPLICATES_REPORT_FILE_NAME);
+    const relativeSource = filePath => path.relative(this.#sourceRoot, filePath);
+    const relativeTarget = filePath => path.relative(this.#targetRoot, filePath);
+    const report = {
+      createdAt: new Date().toISOString(),
+      sourceRoot: this.#sourceRoot,
+      targetRoot: this.#targetRoot,
+      mode,
+      groups: this.#duplicateGroups.map(({ hash, size, original, duplicates: copies }) => ({
+        hash,
+        size,
+        original: relativeSource(original),
+        duplicates: copies.map(filePath => ({
+          source: relativeSource(filePath),
+          target: duplicates.has(filePath) ? relativeTarget(this.#planDuplicate(filePath).target) : null,
+        })),
+      })),
+    };
+
+    try {
+      await this.#writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_WRITING_REPORT, reportPath, err);
+    }
+
+    return duplicates;
+  }
+
+  async #findDuplicateGroups(files) {
+    const { CONCURRENCY } = this.#settings;
+    const filesBySize = new Map();
+    const sizes = await Utils.mapConcurrent(files, CONCURRENCY, filePath => this.#stat(filePath)
+      .then(({ size }) => size)
+      .catch((err) => {
+        this.#logError(L10n.Keys.ERROR_READING_FILE, filePath, err);
+        return null;
+      }));
+
+    for (const [idx, filePath] of files.entries()) {
+      const size = sizes[idx];
+
+      // Empty files are all identical, but they are not duplicates of anything meaningful
+      if (!size) continue;
+
+      if (!filesBySize.has(size)) filesBySize.set(size, []);
+      filesBySize.get(size).push(filePath);
+    }
+
+    const groups = [];
+
+    for (const [size, sameSizeFiles] of filesBySize) {
+      if (sameSizeFiles.length < 2) continue;
+
+      const filesByHash = new Map();
+      const hashes = await Utils.mapConcurrent(sameSizeFiles, CONCURRENCY, filePath => BinaryFile.hash(filePath)
+        .catch((err) => {
+          this.#logError(L10n.Keys.ERROR_READING_FILE, filePath, err);
+          return null;
+        }));
+
+      for (const [idx, filePath] of sameSizeFiles.entries()) {
+        const hash = hashes[idx];
+        if (!hash) continue;
+
+        if (!filesByHash.has(hash)) filesByHash.set(hash, []);
+        filesByHash.get(hash).push(filePath);
+      }
+
+      for (const [hash, [original, ...duplicates]] of filesByHash) {
+        if (duplicates.length) groups.push({ hash, size, original, duplicates });
+      }
+    }
+
+    return groups.sort((a, b) => a.original.localeCompare(b.original));
+  }
+
+  #planDuplicate(filePath) {
+    const targetDir = this.#resolveMirroredDestination(filePath, L10n.get(L10n.Keys.DUPLICATES_DIR_NAME));
+    const target = path.join(targetDir, path.basename(filePath));
+    return { source: filePath, target, targetDir, status: TimelineMediaSorter.FileStatuses.DUPLICATE };
+  }
+
+  async #planFile(filePath) {
+    const { FileStatuses } = TimelineMediaSorter;
+    const { fileName, fileExt } = this.#getFileNames(filePath);
+    const supported = this.#isFileSupported(fileExt);
+    const dateInfo = await this.#resolveDateInfo(filePath, fileName, supported);
+    const { targetDir, unsupportedDate, event, date } = await this.#getTargetDestination(filePath, fileExt, dateInfo, supported);
+    const target = path.join(targetDir, fileName);
+    const dateSource = dateInfo?.source || null;
+
+    if (supported) this.#dateSourceCounts.set(dateSource, (this.#dateSourceCounts.get(dateSource) || 0) + 1);
+
+    let status = FileStatuses.MOVED;
+    if (filePath === target) status = FileStatuses.IN_PLACE;
+    else if (!supported) status = FileStatuses.UNSUPPORTED_EXT;
+    else if (unsupportedDate) status = FileStatuses.UNKNOWN_DATE;
+
+    return { source: filePath, target, targetDir, status, date, dateSource, event };
+  }
+
+  /**
+   * Executes the plan entries CONCURRENCY at a time. Entries that may end up at the same path,
+   * e.g. "IMG_0001.jpg" and a renamed "IMG_0001 (1).jpg", are executed one after another in the order
+   * of the plan, so name collisions are resolved the same way on every run.
+   */
+  async #executePlan(plan) {
+    const chains = new Map();
+
+    for (const entry of plan) {
+      const { dir, name, ext } = path.parse(entry.target);
+      const key = path.join(dir, `${name.replace(/ \(\d+\)$/, '')}${ext}`).toLowerCase();
+
+      if (!chains.has(key)) chains.set(key, []);
+      chains.get(key).push(entry);
+    }
+
+    const records = new Map(plan.map(entry => [entry, RunReport.createRecord(entry)]));
+    // The watch mode executes a plan for every group of new files, and its reports list them all
+    this.#reportRecords = [...(this.#reportRecords || []), ...records.values()];
+    ProgressDisplay.start(ProgressDisplay.Phases.MOVE, plan.length);
+
+    await Utils.mapConcurrent([...chains.values()], this.#settings.CONCURRENCY, async (entries) => {
+      for (const entry of entries) {
+        await this.#currentRecord.run(records.get(entry), () => this.#executePlanEntry(entry));
+        this.emit('file', records.get(entry));
+        ProgressDisplay.advance();
+      }
+    });
+  }
+
+  async #executePlanEntry(entry) {
+    const { source, target, targetDir, status } = entry;
+
+    if (status === TimelineMediaSorter.FileStatuses.IN_PLACE) {
+      LoggerUtils.detail(() => this.#logWarning(L10n.Keys.IN_PLACE, source, '☑️'));
+      this.#skippedFilesLength++;
+      return;
+    }
+
+    if (!await this.#safeMkDir(targetDir)) return;
+
+    const resolved = await this.#resolveCollision(source, target);
+    if (!resolved) return;
+
+    if (!await this.#safeTransferFile(source, resolved.target)) {
+      if (resolved.replacedPath) await this.#restoreReplacedFile(resolved.replacedPath, resolved.target);
+      return;
+    }
+
+    this.#updateRecord({ target: resolved.target });
+    // Only the targets inside the watched folder report changes
+    if (this.#writtenFiles && !path.relative(this.#sourceRoot, resolved.target).startsWith('..')) {
+      this.#markWritten(resolved.target);
+    }
+    this.#logResult(source, targetDir, status);
+  }
+
+  /**
+   * Applies COLLISION_POLICY when the target path is already taken.
+   * Returns `{ target }` with the path to transfer the file to, or `null` if the file must not be transferred.
+   */
+  async #resolveCollision(source, target) {
+    const targetStats = await this.#stat(target).catch(() => null);
+    if (!targetStats) return { target };
+
+    const { CollisionPolicies } = TimelineMediaSorter;
+    const fromTo = `${source} → ${target}`;
+
+    try {
+      // Copying again from the same source must not pile up renamed copies of the same file
+      if (this.#transferMode !== TimelineMediaSorter.TransferModes.MOVE && await BinaryFile.contentEquals(source, target)) {
+        LoggerUtils.detail(() => this.#logWarning(L10n.Keys.ALREADY_IN_LIBRARY, fromTo, '☑️'));
+        this.#updateRecord({ status: TimelineMediaSorter.FileStatuses.SKIPPED });
+        this.#skippedFilesLength++;
+        return null;
+      }
+
+      switch (this.#settings.COLLISION_POLICY) {
+        case CollisionPolicies.SKIP:
+          this.#logWarning(L10n.Keys.COLLISION_SKIPPED, fromTo);
+          this.#updateRecord({ status: TimelineMediaSorter.FileStatuses.SKIPPED });
+          this.#collisions.skipped++;
+          this.#skippedFilesLength++;
+          return null;
+
+        case CollisionPolicies.KEEP_NEWER: {
+          const sourceStats = await this.#stat(source);
+
+          if (sourceStats.mtimeMs > targetStats.mtimeMs) {
+            const replacedPath = await this.#moveReplacedFile(target);
+            if (!replacedPath) return null;
+
+            this.#logWarning(L10n.Keys.COLLISION_REPLACED, `${fromTo} (${replacedPath})`);
+            this.#collisions.replaced++;
+            return { target, replacedPath };
+          }
+
+          this.#logWarning(L10n.Keys.COLLISION_KEPT_NEWER, fromTo);
+          this.#updateRecord({ status: TimelineMediaSorter.FileStatuses.SKIPPED });
+          this.#collisions.skipped++;
+          this.#skippedFilesLength++;
+          return null;
+        }
+
+        case CollisionPolicies.DEDUPE:
+          if (await BinaryFile.contentEquals(source, target)) {
+            this.#journal?.recordRemovedDuplicate(source, target);
+            await this.#unlink(source);
+            this.#logWarning(L10n.Keys.COLLISION_DUPLICATE_REMOVED, fromTo);
+            this.#updateRecord({ status: TimelineMediaSorter.FileStatuses.DUPLICATE });
+            this.#collisions.duplicatesRemoved++;
+            return null;
+          }
+          return this.#renameOnCollision(source, target);
+
+        default:
+          return this.#renameOnCollision(source, target);
+      }
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_MOVING, source, err);
+      this.#skippedFilesLength++;
+      return null;
+    }
+  }
+
+  async #renameOnCollision(source, target) {
+    const renamedTarget = await this.#getFreePath(target);
+
+    this.#logWarning(L10n.Keys.COLLISION_RENAMED, `${source} → ${renamedTarget}`);
+    this.#collisions.renamed++;
+    return { target: renamedTarget };
+  }
+
+  /**
+   * Returns the path with the first free numeric suffix, e.g. "IMG_0001 (1).jpg".
+   */
+  async #getFreePath(filePath) {
+    const { dir, name, ext } = path.parse(filePath);
+
+    for (let idx = 1; ; idx++) {
+      const freePath = path.join(dir, `${name} (${idx})${ext}`);
+      if (!await this.#stat(freePath).catch(() => null)) return freePath;
+    }
+  }
+
+  /**
+   * Moves a file the library is about to replace into "#Replaced Files", keeping its path in the library,
+   * and journals it so undo can put it back. Returns its new path, or `null` if it could not be moved.
+   */
+  async #moveReplacedFile(filePath) {
+    const relativeDir = path.relative(this.#targetRoot, path.dirname(filePath));
+    const replacedDir = path.join(this.#targetRoot, L10n.get(L10n.Keys.REPLACED_DIR_NAME), relativeDir);
+    if (!await this.#safeMkDir(replacedDir)) return null;
+
+    let replacedPath = path.join(replacedDir, path.basename(filePath));
+    if (await this.#stat(replacedPath).catch(() => null)) replacedPath = await this.#getFreePath(replacedPath);
+
+    this.#journal?.recordReplaced(filePath, replacedPath);
+    await this.#moveWithFallback(filePath, replacedPath);
+    return replacedPath;
+  }
+
+  /**
+   * Puts a file moved aside by keep-newer back in its place when the newer file could not be transferred there.
+   */
+  async #restoreReplacedFile(replacedPath, filePath) {
+    try {
+      await this.#moveWithFallback(replacedPath, filePath);
+      this.#collisions.replaced--;
+      this.#logWarning(L10n.Keys.RESTORED, `${replacedPath} → ${filePath}`);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RESTORING, replacedPath, err);
+    }
+  }
+
+  /**
+   * Finds planned moves whose target is taken by an existing file
+   * or by another planned move, so a dry run can report them.
+   */
+  #findPlannedCollisions(plan) {
+    const { FileStatuses } = TimelineMediaSorter;
+    const movedEntries = plan.filter(({ status }) => status !== FileStatuses.IN_PLACE);
+    const movedSources = new Set(movedEntries.map(({ source }) => source));
+    const claimedTargets = new Set();
+    const collisions = [];
+
+    for (const entry of movedEntries) {
+      const takenOnDisk = fs.existsSync(entry.target) && !movedSources.has(entry.target);
+
+      if (takenOnDisk || claimedTargets.has(entry.target)) {
+        collisions.push(entry);
+      }
+
+      claimedTargets.add(entry.target);
+    }
+
+    return collisions;
+  }
+
+  #getDuplicatesSummary() {
+    if (this.#settings.DUPLICATES_MODE === TimelineMediaSorter.DuplicatesModes.OFF) return null;
+
+    const duplicatesLength = this.#duplicateGroups.reduce((sum, group) => sum + group.duplicates.length, 0);
+    const reportPath = path.join(this.#targetRoot, TimelineMediaSorter.#DUPLICATES_REPORT_FILE_NAME);
+    const value = `${duplicatesLength} (${L10n.get(L10n.Keys.DUPLICATE_GROUPS)}: ${this.#duplicateGroups.length})`;
+
+    return {
+      icon: '👯',
+      label: L10n.get(L10n.Keys.DUPLICATES),
+      value: this.#settings.MODE === TimelineMediaSorter.Modes.DRY_RUN ? value : `${value} → ${reportPath}`,
+    };
+  }
+
+  #getDateSourcesSummary() {
+    // Plans applied from a file do not know where the dates came from
+    if (!this.#dateSourceCounts.size) return null;
+
+    const counts = [...Object.values(TimelineMediaSorter.DateSources), null]
+      .filter(source => this.#dateSourceCounts.has(source))
+      .map(source => `${L10n.get(TimelineMediaSorter.#getDateSourceKey(source))}: ${this.#dateSourceCounts.get(source)}`);
+
+    return { icon: '📅', label: L10n.get(L10n.Keys.DATE_SOURCES), value: counts.join(', ') };
+  }
+
+  static #getDateSourceKey(source) {
+    switch (source) {
+      case TimelineMediaSorter.DateSources.FILENAME:
+        return L10n.Keys.DATE_SOURCE_FILENAME;
+      case TimelineMediaSorter.DateSources.METADATA:
+        return L10n.Keys.DATE_SOURCE_METADATA;
+      case TimelineMediaSorter.DateSources.FILESYSTEM:
+        return L10n.Keys.DATE_SOURCE_FILESYSTEM;
+      default:
+        return L10n.Keys.DATE_SOURCE_NONE;
+    }
+  }
+
+  #getCollisionsSummary() {
+    const { renamed, skipped, replaced, duplicatesRemoved } = this.#collisions;
+    if (!renamed && !skipped && !replaced && !duplicatesRemoved) return null;
+
+    return {
+      icon: '🔀',
+      label: L10n.get(L10n.Keys.COLLISIONS),
+      value: `${renamed + skipped + replaced + duplicatesRemoved} (`
+        + `${L10n.get(L10n.Keys.COLLISIONS_RENAMED)}: ${renamed}, `
+        + `${L10n.get(L10n.Keys.COLLISIONS_SKIPPED)}: ${skipped}, `
+        + `${L10n.get(L10n.Keys.COLLISIONS_REPLACED)}: ${replaced}, `
+        + `${L10n.get(L10n.Keys.COLLISIONS_DUPLICATES_REMOVED)}: ${duplicatesRemoved})`,
+    };
+  }
+
+  /**
+   * Replays the plan on an in-memory copy of the folder tree to find out
+   * which folders would be created and which would be left empty and removed.
+   */
+  async #simulateDirChanges(plan) {
+    const tree = new Map();
+    await this.#scanDirTree(this.#sourceRoot, tree);
+
+    if (!tree.has(this.#targetRoot)) {
+      if (fs.existsSync(this.#targetRoot)) {
+        await this.#scanDirTree(this.#targetRoot, tree);
+      } else {
+        tree.set(path.dirname(this.#targetRoot), { files: new Set(), dirs: new Set() });
+      }
+    }
+
+    const createdDirs = [];
+    const ensureDir = (dir) => {
+      if (tree.has(dir)) return;
+
+      const parentDir = path.dirname(dir);
+      ensureDir(parentDir);
+      tree.set(dir, { files: new Set(), dirs: new Set() });
+      tree.get(parentDir).dirs.add(dir);
+      createdDirs.push(dir);
+    };
+
+    const keepsSources = this.#transferMode !== TimelineMediaSorter.TransferModes.MOVE;
+
+    for (const { source, target, targetDir, status } of plan) {
+      if (status === TimelineMediaSorter.FileStatuses.IN_PLACE) continue;
+
+      if (!keepsSources) tree.get(path.dirname(source))?.files.delete(source);
+      ensureDir(targetDir);
+      tree.get(targetDir).files.add(target);
+    }
+
+    const deletedDirs = [];
+    const isLeftEmpty = (dir) => {
+      const { files, dirs } = tree.get(dir);
+      let empty = files.size === 0;
+
+      for (const childDir of [...dirs].sort()) {
+        if (isLeftEmpty(childDir)) {
+          deletedDirs.push(childDir);
+        } else {
+          empty = false;
+        }
+      }
+
+      return empty;
+    };
+
+    // Empty folders are only cleaned up after moving: copying leaves the source as it was
+    if (!keepsSources) isLeftEmpty(this.#sourceRoot);
+
+    return { createdDirs, deletedDirs };
+  }
+
+  async #scanDirTree(dir, tree) {
+    const node = { files: new Set(), dirs: new Set() };
+    tree.set(dir, node);
+
+    let entries;
+
+    try {
+      entries = await this.#readDir(dir, { withFileTypes: true });
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+      // An unreadable folder is never considered empty
+      node.files.add(null);
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        node.dirs.add(fullPath);
+        await this.#scanDirTree(fullPath, tree);
+      } else {
+        node.files.add(fullPath);
+      }
+    }
+  }
+
+  #printPlan(plan, createdDirs, deletedDirs, collisions) {
+    const relativeSource = filePath => path.relative(this.#sourceRoot, filePath);
+    const relativeTarget = filePath => path.relative(this.#targetRoot, filePath);
+    const rows = plan.map(({ source, target, status }) => [
+      L10n.get(TimelineMediaSorter.#getPlanStatusKey(status, this.#transferMode)),
+      relativeSource(source),
+      status === TimelineMediaSorter.FileStatuses.IN_PLACE ? '' : relativeTarget(target),
+    ]);
+    const header = [L10n.get(L10n.Keys.PLAN_STATUS), L10n.get(L10n.Keys.PLAN_SOURCE), L10n.get(L10n.Keys.PLAN_TARGET)];
+    const widths = header.map((title, idx) => Math.max(title.length, ...rows.map(row => row[idx].length)));
+    const formatRow = row => row.map((cell, idx) => cell.padEnd(widths[idx])).join(' │ ').trimEnd();
+
+    // The plan is what a dry run is for, so only the quiet output leaves it to the plan file
+    const quiet = LoggerUtils.getOutputMode() === TimelineMediaSorter.OutputModes.QUIET;
+
+    if (!quiet) {
+      LoggerUtils.cyan(formatRow(header));
+      LoggerUtils.cyan(widths.map(width => '─'.repeat(width)).join('─┼─'));
+
+      plan.forEach(({ status }, idx) => {
+        const row = formatRow(rows[idx]);
+        status === TimelineMediaSorter.FileStatuses.MOVED ? LoggerUtils.green(row) : LoggerUtils.yellow(row);
+      });
+
+      LoggerUtils.indent('-');
+    }
+
+    LoggerUtils.cyan(`📁 ${L10n.get(L10n.Keys.PLAN_CREATED_DIRS)}: ${createdDirs.length}`);
+    if (!quiet) createdDirs.forEach(dir => LoggerUtils.green(`   ${relativeTarget(dir)}`));
+    LoggerUtils.cyan(`❌ ${L10n.get(L10n.Keys.PLAN_DELETED_DIRS)}: ${deletedDirs.length}`);
+    if (!quiet) deletedDirs.forEach(dir => LoggerUtils.yellow(`   ${relativeSource(dir)}`));
+    LoggerUtils.cyan(`🔀 ${L10n.get(L10n.Keys.PLAN_COLLISIONS)} (${this.#settings.COLLISION_POLICY}): ${collisions.length}`);
+    collisions.forEach(({ source, target }) => LoggerUtils.yellow(`   ${relativeSource(source)} → ${relativeTarget(target)}`));
+
+    if (this.#settings.DUPLICATES_MODE === TimelineMediaSorter.DuplicatesModes.OFF) return;
+
+    LoggerUtils.cyan(`👯 ${L10n.get(L10n.Keys.DUPLICATE_GROUPS_FOUND)}: ${this.#duplicateGroups.length}`);
+    this.#duplicateGroups.forEach(({ original, duplicates }) => {
+      LoggerUtils.yellow(`   ${[original, ...duplicates].map(relativeSource).join(' = ')}`);
+    });
+  }
+
+  static #getPlanStatusKey(status, transferMode) {
+    switch (status) {
+      case TimelineMediaSorter.FileStatuses.IN_PLACE:
+        return L10n.Keys.PLAN_STATUS_IN_PLACE;
+      case TimelineMediaSorter.FileStatuses.UNSUPPORTED_EXT:
+        return L10n.Keys.PLAN_STATUS_UNSUPPORTED_EXT;
+      case TimelineMediaSorter.FileStatuses.UNKNOWN_DATE:
+        return L10n.Keys.PLAN_STATUS_UNKNOWN_DATE;
+      case TimelineMediaSorter.FileStatuses.DUPLICATE:
+        return L10n.Keys.PLAN_STATUS_DUPLICATE;
+      default:
+        if (transferMode === TimelineMediaSorter.TransferModes.COPY) return L10n.Keys.PLAN_STATUS_COPIED;
+        if (transferMode === TimelineMediaSorter.TransferModes.HARDLINK) return L10n.Keys.PLAN_STATUS_LINKED;
+        return L10n.Keys.PLAN_STATUS_MOVED;
+    }
+  }
+
+  #getFileNames(filePath) {
+    const fileName = path.basename(filePath);
+    const fileExt = path.extname(filePath).toLowerCase();
+    return { fileName, fileExt };
+  }
+
+  async #resolveDateInfo(filePath, fileName, supported) {
+    for (const source of this.#settings.DATE_SOURCES) {
+      const dateInfo = await this.#readDateFromSource(source, filePath, fileName, supported);
+      if (dateInfo && DateParser.isValid(dateInfo)) return { ...DateParser.toTimeZone(dateInfo), source };
+    }
+
+    return null;
+  }
+
+  async #readDateFromSource(source, filePath, fileName, supported) {
+    switch (source) {
+      case TimelineMediaSorter.DateSources.FILENAME:
+        return DateParser.parseFileName(fileName);
+      case TimelineMediaSorter.DateSources.METADATA:
+        return supported ? await MetadataReader.readDate(filePath) : null;
+      case TimelineMediaSorter.DateSources.FILESYSTEM:
+        return supported ? await this.#readFileSystemDate(filePath) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the earlier of the creation and modification times of the file:
+   * copying a file usually resets its creation time, editing it the modification time.
+   */
+  async #readFileSystemDate(filePath) {
+    let stats;
+
+    try {
+      stats = await this.#stat(filePath);
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_READING_FILE, filePath, err);
+      return null;
+    }
+
+    // File systems that do not keep the creation time report it as 0
+    const time = Math.min(...[stats.birthtimeMs, stats.mtimeMs].filter(Boolean));
+    return Number.isFinite(time) ? { ...Utils.toDateParts(new Date(time)), offset: 0, utc: true } : null;
+  }
+
+  #isFileSupported(fileExt) {
+    return this.#settings.PHOTO_EXTENSIONS.includes(fileExt) ||
+      this.#settings.VIDEO_EXTENSIONS.includes(fileExt);
+  }
+
+  async #getTargetDestination(filePath, fileExt, dateInfo, supported) {
+    return (supported && dateInfo)
+      ? { ...await this.#resolveKnownDateDestination(filePath, fileExt, dateInfo), unsupportedDate: null }
+      : {
+        targetDir: this.#resolveUnknownDateDestination(filePath, supported),
+        unsupportedDate: supported,
+        event: null,
+        date: null,
+      };
+  }
+
+  async #resolveKnownDateDestination(filePath, fileExt, dateInfo) {
+    const { year, month, day } = dateInfo;
+    const { mediaDate, hasTime } = this.#getMediaDate(dateInfo);
+    const customEvent = EventsResolver.getCustomEventMatch(mediaDate, hasTime);
+    const template = customEvent
+      ? this.#settings.EVENT_FOLDER_TEMPLATE
+      : this.#settings.FOLDER_TEMPLATE;
+    const isVideo = this.#settings.VIDEO_EXTENSIONS.includes(fileExt);
+    const { season, seasonYear, seasonYears } = SeasonsResolver.getSeasonYears(mediaDate);
+    const { Tokens } = FolderTemplate;
+
+    const folderNames = FolderTemplate.render(template, {
+      [Tokens.YEAR]: parseInt(year, 10),
+      [Tokens.MONTH]: parseInt(month, 10),
+      [Tokens.DAY]: parseInt(day, 10),
+      [Tokens.QUARTER]: Math.ceil(parseInt(month, 10) / 3),
+      [Tokens.MONTH_NAME]: this.#getMonthName(month),
+      [Tokens.SEASON]: SeasonsResolver.getName(season),
+      [Tokens.SEASON_YEAR]: seasonYear,
+      [Tokens.SEASON_YEARS]: seasonYears,
+      [Tokens.TYPE]: L10n.get(isVideo ? L10n.Keys.VIDEO_DIR_NAME : L10n.Keys.PHOTO_DIR_NAME),
+      [Tokens.VIDEOS]: isVideo ? L10n.get(L10n.Keys.VIDEO_DIR_NAME) : '',
+      // Reading the camera costs another look into the file, so only do it when the layout needs it
+      [Tokens.CAMERA]: FolderTemplate.uses(template, Tokens.CAMERA)
+        ? (await MetadataReader.readCamera(filePath) || L10n.get(L10n.Keys.UNKNOWN_CAMERA_DIR_NAME))
+        : '',
+      [Tokens.EVENT]: customEvent ? EventsResolver.getCustomEventPath(customEvent) : [],
+    });
+
+    const { APPROXIMATE_DATES_FOLDER } = this.#settings;
+    if (dateInfo.source === TimelineMediaSorter.DateSources.FILESYSTEM && APPROXIMATE_DATES_FOLDER) {
+      folderNames.push(APPROXIMATE_DATES_FOLDER);
+    }
+
+    const { year: dateYear, month: dateMonth, day: dateDay } = Utils.toDateParts(mediaDate);
+
+    return {
+      targetDir: path.join(this.#targetRoot, ...folderNames),
+      event: customEvent?.name || null,
+      date: `${dateYear}-${dateMonth}-${dateDay}`,
+    };
+  }
+
+  /**
+   * Returns the moment the file was taken, or the start of its day when the time is unknown or invalid.
+   */
+  #getMediaDate({ year, month, day, hour, minute, second }) {
+    const [hours, minutes, seconds] = [hour, minute, second].map(value => parseInt(value, 10) || 0);
+    const hasTime = Utils.exists(hour) && hours < 24 && minutes < 60 && seconds < 60;
+
+    return hasTime
+      ? { mediaDate: Utils.wallClock(year, month, day, hours, minutes, seconds), hasTime }
+      : { mediaDate: Utils.normalizedStart(year, month, day), hasTime };
+  }
+
+  #resolveUnknownDateDestination(filePath, supported) {
+    const folderName = supported
+      ? L10n.get(L10n.Keys.UNKNOWN_DATES_DIR_NAME)
+      : L10n.get(L10n.Keys.UNKNOWN_FILES_DIR_NAME);
+
+    return this.#resolveMirroredDestination(filePath, folderName);
+  }
+
+  #resolveMirroredDestination(filePath, folderName) {
+    const relativeDir = path.relative(this.#sourceRoot, path.dirname(filePath));
+    return path.join(this.#targetRoot, folderName, relativeDir);
+  }
+
+  #getMonthName(month) {
+    const monthKeys = [
+      L10n.Keys.JANUARY, L10n.Keys.FEBRUARY, L10n.Keys.MARCH, L10n.Keys.APRIL,
+      L10n.Keys.MAY, L10n.Keys.JUNE, L10n.Keys.JULY, L10n.Keys.AUGUST,
+      L10n.Keys.SEPTEMBER, L10n.Keys.OCTOBER, L10n.Keys.NOVEMBER, L10n.Keys.DECEMBER,
+    ];
+    return L10n.get(monthKeys[parseInt(month, 10) - 1] || L10n.Keys.UNKNOWN);
+  }
+
+  async #safeMkDir(targetDir) {
+    // Files going to the same folder wait for one and the same call instead of creating it again
+    if (!this.#createdDirs.has(targetDir)) {
+      this.#createdDirs.set(targetDir, this.#mkDir(targetDir, { recursive: true }).then((firstCreatedDir) => {
+        if (firstCreatedDir) this.#journal?.recordCreatedDirs(firstCreatedDir, targetDir);
+      }));
+    }
+
+    try {
+      await this.#createdDirs.get(targetDir);
+      return true;
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_MK_DIR, targetDir, err);
+      this.#skippedFilesLength++;
+      return false;
+    }
+  }
+
+  async #safeTransferFile(filePath, targetPath) {
+    const { TransferModes } = TimelineMediaSorter;
+
+    try {
+      if (this.#journal) {
+        const { size, mtimeMs } = await this.#stat(filePath);
+        this.#journal.recordTransfer(this.#transferMode, filePath, targetPath, size, mtimeMs);
+      }
+
+      switch (this.#transferMode) {
+        case TransferModes.COPY:
+          await this.#copyVerified(filePath, targetPath);
+          break;
+        case TransferModes.HARDLINK:
+          await this.#linkFile(filePath, targetPath);
+          break;
+        default:
+          await this.#moveWithFallback(filePath, targetPath);
+      }
+
+      return true;
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_MOVING, filePath, err);
+      this.#skippedFilesLength++;
+      return false;
+    }
+  }
+
+  /**
+   * Moves the file; `fs.rename` cannot cross drives (EXDEV),
+   * so such files are copied, verified and only then removed from the source.
+   */
+  async #moveWithFallback(filePath, targetPath) {
+    try {
+      await this.#moveFile(filePath, targetPath);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+
+      await this.#copyVerified(filePath, targetPath);
+      await this.#unlink(filePath);
+    }
+  }
+
+  async #linkFile(filePath, targetPath) {
+    try {
+      await this.#link(filePath, targetPath);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+
+      await this.#copyVerified(filePath, targetPath);
+    }
+  }
+
+  async #copyVerified(filePath, targetPath) {
+    await this.#copyFile(filePath, targetPath, fs.constants.COPYFILE_EXCL);
+
+    const sourceStats = await this.#stat(filePath);
+    const targetStats = await this.#stat(targetPath);
+    const verified = sourceStats.size === targetStats.size
+      && await BinaryFile.hash(filePath) === await BinaryFile.hash(targetPath);
+
+    if (!verified) {
+      await this.#unlink(targetPath).catch(() => null);
+      throw new Error(L10n.get(L10n.Keys.ERROR_COPY_VERIFICATION));
+    }
+
+    // Keep the original timestamps, the copy would otherwise look like a new file
+    await this.#utimes(targetPath, sourceStats.atime, sourceStats.mtime);
+  }
+
+  async #safeMoveFile(filePath, targetPath) {
+    try {
+      await this.#moveWithFallback(filePath, targetPath);
+      return true;
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_MOVING, filePath, err);
+      this.#skippedFilesLength++;
+      return false;
+    }
+  }
+
+  async #walkDir(rootDir) {
+    const fileList = [];
+    let dirs = [rootDir];
+
+    // Folders are read level by level, so a deep tree keeps CONCURRENCY folders being read at a time
+    while (dirs.length) {
+      const levels = await Utils.mapConcurrent(dirs, this.#settings.CONCURRENCY, dir => this.#readDirEntries(dir));
+      dirs = levels.flatMap(level => level.dirs);
+      fileList.push(...levels.flatMap(level => level.files));
+    }
+
+    return fileList;
+  }
+
+  /**
+   * Returns the files and the folders to scan in the folder, without the ignored ones.
+   */
+  async #readDirEntries(dir) {
+    const result = { files: [], dirs: [] };
+    let entries;
+
+    try {
+      entries = await this.#readDir(dir, { withFileTypes: true });
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+      return result;
+    }
+
+    for (const entry of entries) {
+      const entryName = entry.name;
+      const fullPath = path.join(dir, entryName);
+
+      const isIgnoredDir = entry.isDirectory() && this.#isIgnoredDir(fullPath, entryName);
+      const isIgnoredFile = entry.isFile() && this.#isIgnoredFile(entryName);
+
+      if (isIgnoredDir || isIgnoredFile) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        result.dirs.push(fullPath);
+      } else {
+        result.files.push(fullPath);
+      }
+    }
+
+    ProgressDisplay.advance(result.files.length);
+    return result;
+  }
+
+  #isIgnoredDir(fullPath, dirName) {
+    return this.#settings.IGNORED_DIRECTORIES
+      .some(ignored => ignored.toLowerCase() === dirName.toLowerCase())
+      || dirName.startsWith('.')
+      || fullPath === path.join(this.#targetRoot, L10n.get(L10n.Keys.DUPLICATES_DIR_NAME))
+      || fullPath === path.join(this.#targetRoot, L10n.get(L10n.Keys.REPLACED_DIR_NAME))
+      || fullPath === this.#targetRoot;
+  }
+
+  #isIgnoredFile(fileName) {
+    return this.#settings.IGNORED_FILES
+      .some(ignored => ignored.toLowerCase() === fileName.toLowerCase());
+  }
+
+  async #deleteEmptyDirs(dir) {
+    let entries;
+
+    try {
+      entries = await this.#readDir(dir, { withFileTypes: true });
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+      return;
+    }
+
+    ProgressDisplay.advance();
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (!entry.isDirectory()) continue;
+
+      await this.#deleteEmptyDirs(fullPath);
+
+      let remaining;
+
+      try {
+        remaining = await this.#readDir(fullPath);
+      } catch (err) {
         this.#logError(L10n.Keys.ERROR_RD_DIR, fullPath, err);
         continue;
       }
 
-      if (remaining.length > 0) continue;
+      if (remaining.length > 0) continue;
+
+      await this.#removeDir(fullPath);
+    }
+  }
+
+  async #deleteDirIfEmpty(dir) {
+    let remaining;
+
+    try {
+      remaining = await this.#readDir(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.#logError(L10n.Keys.ERROR_RD_DIR, dir, err);
+      return;
+    }
+
+    if (remaining.length > 0) {
+      this.#logWarning(L10n.Keys.DIR_NOT_EMPTY, dir);
+      return;
+    }
+
+    await this.#removeDir(dir);
+  }
+
+  async #removeDir(dir) {
+    try {
+      this.#journal?.recordDeletedDir(dir);
+      await this.#rm(dir, { recursive: true });
+      this.#createdDirs.delete(dir);
+      LoggerUtils.detail(() => LoggerUtils.yellow(`❌ ${L10n.get(L10n.Keys.DELETED_DIR)}: ${dir}`));
+      this.#deletedFilesLength++;
+    } catch (err) {
+      this.#logError(L10n.Keys.ERROR_RM_DIR, dir, err);
+    }
+  }
+
+  #logResult(filePath, targetDir, status) {
+    const relativeTarget = path.join('...', path.relative(this.#targetRoot, targetDir));
+    const fromTo = `${filePath} → ${relativeTarget}`;
+
+    if (status === TimelineMediaSorter.FileStatuses.UNSUPPORTED_EXT) {
+      this.#skippedFilesLength++;
+      this.#logWarning(L10n.Keys.UNSUPPORTED_EXT, fromTo);
+    } else if (status === TimelineMediaSorter.FileStatuses.UNKNOWN_DATE) {
+      this.#skippedFilesLength++;
+      this.#logWarning(L10n.Keys.UNSUPPORTED_DATE, fromTo);
+    } else if (status === TimelineMediaSorter.FileStatuses.DUPLICATE) {
+      this.#skippedFilesLength++;
+      this.#logWarning(L10n.Keys.MOVED_DUPLICATE, fromTo);
+    } else {
+      this.#movedFilesLength++;
+      this.#logSuccess(this.#getTransferredKey(), fromTo);
+    }
+  }
+
+  #getTransferredKey() {
+    switch (this.#transferMode) {
+      case TimelineMediaSorter.TransferModes.COPY:
+        return L10n.Keys.COPIED;
+      case TimelineMediaSorter.TransferModes.HARDLINK:
+        return L10n.Keys.LINKED;
+      default:
+        return L10n.Keys.MOVED;
+    }
+  }
+
+  #logSuccess(key, filePath) {
+    LoggerUtils.detail(() => LoggerUtils.green(`✅ ${L10n.get(key)}: ${filePath}`));
+  }
+
+  #logWarning(key, filePath, icon = `⚠️`) {
+    LoggerUtils.yellow(`${icon} ${L10n.get(key)}: ${filePath}`);
+  }
+
+  #logError(key, filePath, err) {
+    const message = err?.message ? `:\n${err.message}` : '';
+    LoggerUtils.red(`⛔ ${L10n.get(key)}: ${filePath}${message}`);
+    this.#updateRecord({ status: TimelineMediaSorter.FileStatuses.ERROR, error: err?.message || L10n.get(key) });
+  }
+}
+
+/**
+ * Fills TimelineMediaSorterSettings from the command line and the config file, or resolves the settings
+ * of a single run of the module API, and validates the result.
+ */
+class SettingsLoader {
+  static CONFIG_FILE_NAMES = Object.freeze(['#TimelineMediaSorterConfig.json', '#TimelineMediaSorterConfig.js']);
+
+  static #runSettings = new AsyncLocalStorage();
+
+  /**
+   * Path of the config file applied by the last `load`, or `null` if none was found.
+   */
+  static configPath = null;
+
+  static #CLI_OPTIONS = {
+    root: { type: 'string', short: 'r' },
+    target: { type: 'string', short: 't' },
+    config: { type: 'string', short: 'c' },
+    mode: { type: 'string', short: 'm' },
+    'dry-run': { type: 'boolean' },
+    'apply-plan': { type: 'boolean' },
+    undo: { type: 'boolean' },
+    'check-events': { type: 'boolean' },
+    watch: { type: 'boolean', short: 'w' },
+    calendar: { type: 'string', multiple: true },
+    timezone: { type: 'string' },
+    'transfer-mode': { type: 'string' },
+    'collision-policy': { type: 'string' },
+    duplicates: { type: 'string' },
+    concurrency: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    quiet: { type: 'boolean', short: 'q' },
+    lang: { type: 'string', short: 'l' },
+    'save-logs': { type: 'boolean' },
+    report: { type: 'string', multiple: true },
+    'html-report': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+  };
+
+  /**
+   * Command-line options that set a setting directly.
+   */
+  static #CLI_SETTINGS = {
+    root: 'SOURCE_PATH',
+    target: 'TARGET_PATH',
+    mode: 'MODE',
+    calendar: 'CALENDAR_FILES',
+    timezone: 'TIMEZONE',
+    'transfer-mode': 'TRANSFER_MODE',
+    'collision-policy': 'COLLISION_POLICY',
+    duplicates: 'DUPLICATES_MODE',
+    concurrency: 'CONCURRENCY',
+    output: 'OUTPUT_MODE',
+    lang: 'LANGUAGE',
+    'save-logs': 'SAVE_LOGS',
+    report: 'REPORT_FORMATS',
+    'html-report': 'HTML_REPORT',
+  };
+
+  static #CLI_MODES = {
+    'dry-run': TimelineMediaSorter.Modes.DRY_RUN,
+    'apply-plan': TimelineMediaSorter.Modes.APPLY_PLAN,
+    undo: TimelineMediaSorter.Modes.UNDO,
+    'check-events': TimelineMediaSorter.Modes.CHECK_EVENTS,
+    watch: TimelineMediaSorter.Modes.WATCH,
+  };
+
+  /**
+   * Settings whose values from a config file are added to the defaults instead of replacing them,
+   * so the sorter never scans its own files.
+   */
+  static #EXTENDED_SETTINGS = ['IGNORED_DIRECTORIES', 'IGNORED_FILES'];
+
+  static #PATH_SETTINGS = ['SOURCE_PATH', 'TARGET_PATH', 'CALENDAR_FILES'];
+
+  static #NUMBER_SETTINGS = ['CONCURRENCY'];
+
+  /**
+   * The settings as written in the script, which the settings of every run of the module API start from.
+   */
+  static #DEFAULTS = structuredClone({ ...TimelineMediaSorterSettings });
+
+  /**
+   * The settings of the run the caller belongs to (see `run`), or TimelineMediaSorterSettings outside of any run.
+   */
+  static get current() {
+    return SettingsLoader.#runSettings.getStore() || TimelineMediaSorterSettings;
+  }
+
+  /**
+   * Calls `callback` with `settings` as the current settings of everything it calls, including its timers and promises.
+   */
+  static run(settings, callback) {
+    return SettingsLoader.#runSettings.run(settings, callback);
+  }
+
+  /**
+   * Merges the config file and then the command-line arguments over the defaults of TimelineMediaSorterSettings.
+   * Returns `false` when the sorter must not run: help was requested or the settings are invalid.
+   */
+  static load(argv) {
+    let options;
+
+    try {
+      options = util.parseArgs({ args: argv, options: SettingsLoader.#CLI_OPTIONS, strict: true }).values;
+    } catch (err) {
+      LoggerUtils.red(`❌ ${L10n.get(L10n.Keys.INVALID_ARGUMENTS)}: ${err.message}`);
+      LoggerUtils.cyan(L10n.get(L10n.Keys.SEE_HELP));
+      process.exitCode = 1;
+      return false;
+    }
+
+    if (L10n.isLanguage(options.lang)) L10n.Language = options.lang;
+
+    if (options.help) {
+      LoggerUtils.cyan(L10n.get(L10n.Keys.CLI_HELP));
+      return false;
+    }
+
+    const origins = {};
+    const errors = [];
+
+    const configPath = options.config
+      ? path.resolve(options.config)
+      : SettingsLoader.#findConfig(options.root ? path.resolve(options.root) : scriptPath);
+
+    if (configPath) {
+      try {
+        SettingsLoader.#applyConfig(TimelineMediaSorterSettings, SettingsLoader.#readConfig(configPath), configPath, origins, errors);
+      } catch (err) {
+        LoggerUtils.red(`❌ ${L10n.get(L10n.Keys.ERROR_READING_CONFIG)}: ${configPath}\n${err.message}`);
+        process.exitCode = 1;
+        return false;
+      }
+    }
+
+    SettingsLoader.#applyOptions(TimelineMediaSorterSettings, options, origins, errors);
+
+    const { LANGUAGE } = TimelineMediaSorterSettings;
+    if (L10n.isLanguage(LANGUAGE)) L10n.Language = LANGUAGE;
+
+    errors.push(...SettingsLoader.#validate(TimelineMediaSorterSettings, origins));
+
+    if (errors.length) {
+      LoggerUtils.red(`❌ ${L10n.get(L10n.Keys.INVALID_SETTINGS)}:`);
+      errors.forEach(error => LoggerUtils.red(`   ${error}`));
+      process.exitCode = 1;
+      return false;
+    }
+
+    SettingsLoader.configPath = configPath;
+    SettingsLoader.#compilePatterns(TimelineMediaSorterSettings);
+
+    return true;
+  }
+
+  /**
+   * Resolves the settings of a single run of the module API: the defaults with the options over them, named like
+   * the settings in camelCase, e.g. `{ sourcePath: 'D:/Photos', transferMode: 'copy' }`. No config file is read,
+   * and TimelineMediaSorterSettings are left as they are. Relative paths are resolved against the current folder,
+   * which is also the default SOURCE_PATH, and OUTPUT_MODE is 'silent' unless given.
+   * Returns `{ settings, errors }`, the errors like "transferMode → TRANSFER_MODE: ...".
+   */
+  static resolve(options) {
+    const settings = structuredClone(SettingsLoader.#DEFAULTS);
+    const origins = {};
+    const errors = [];
+
+    for (const [option, value] of Object.entries(options)) {
+      // "sourcePath" → "SOURCE_PATH"; the names of the settings themselves are accepted too
+      const key = option.replace(/([a-z\d])([A-Z])/g, '$1_$2').toUpperCase();
+
+      if (!Object.hasOwn(settings, key)) {
+        errors.push(`${option}: ${L10n.get(L10n.Keys.UNKNOWN_SETTING)}`);
+        continue;
+      }
+
+      origins[key] = option;
+
+      if (SettingsLoader.#EXTENDED_SETTINGS.includes(key) && Array.isArray(value)) {
+        settings[key] = [...settings[key], ...value];
+      } else if (SettingsLoader.#PATH_SETTINGS.includes(key)) {
+        settings[key] = SettingsLoader.#resolvePaths(process.cwd(), value);
+      } else {
+        settings[key] = value;
+      }
+    }
+
+    if (!origins.SOURCE_PATH) settings.SOURCE_PATH = process.cwd();
+    if (!origins.OUTPUT_MODE) settings.OUTPUT_MODE = TimelineMediaSorter.OutputModes.SILENT;
+
+    // The errors are written in the LANGUAGE of the run
+    errors.push(...SettingsLoader.run(settings, () => SettingsLoader.#validate(settings, origins)));
+    if (!errors.length) SettingsLoader.#compilePatterns(settings);
+
+    return { settings, errors };
+  }
+
+  static #compilePatterns(settings) {
+    settings.DATE_PATTERNS = settings.DATE_PATTERNS.map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern));
+  }
+
+  static #findConfig(dir) {
+    return SettingsLoader.CONFIG_FILE_NAMES
+      .map(fileName => path.join(dir, fileName))
+      .find(filePath => fs.existsSync(filePath)) || null;
+  }
+
+  static #readConfig(configPath) {
+    const config = path.extname(configPath).toLowerCase() === '.json'
+      ? JSON.parse(fs.readFileSync(configPath, 'utf-8').replace(/^\uFEFF/, ''))
+      : require(configPath);
+
+    if (!SettingsLoader.#isPlainObject(config)) {
+      throw new Error(L10n.get(L10n.Keys.EXPECTED_CONFIG_OBJECT));
+    }
+
+    return config;
+  }
+
+  static #applyConfig(settings, config, configPath, origins, errors) {
+    const origin = path.basename(configPath);
+
+    for (const [key, value] of Object.entries(config)) {
+      if (!Object.hasOwn(settings, key)) {
+        errors.push(`${origin} → ${key}: ${L10n.get(L10n.Keys.UNKNOWN_SETTING)}`);
+        continue;
+      }
+
+      origins[key] = origin;
+
+      if (SettingsLoader.#EXTENDED_SETTINGS.includes(key) && Array.isArray(value)) {
+        settings[key] = [...settings[key], ...value];
+      } else if (SettingsLoader.#PATH_SETTINGS.includes(key)) {
+        // Paths in the config file are relative to the file itself
+        settings[key] = SettingsLoader.#resolvePaths(path.dirname(configPath), value);
+      } else {
+        settings[key] = value;
+      }
+    }
+  }
+
+  static #applyOptions(settings, options, origins, errors) {
+    for (const [option, key] of Object.entries(SettingsLoader.#CLI_SETTINGS)) {
+      if (options[option] === undefined) continue;
+
+      origins[key] = `--${option}`;
+
+      if (SettingsLoader.#PATH_SETTINGS.includes(key)) {
+        settings[key] = SettingsLoader.#resolvePaths(process.cwd(), options[option]);
+      } else if (SettingsLoader.#NUMBER_SETTINGS.includes(key)) {
+        // Leave what is not a number as it was given, so the error shows it
+        settings[key] = options[option].trim() && Number.isFinite(Number(options[option]))
+          ? Number(options[option])
+          : options[option];
+      } else {
+        settings[key] = options[option];
+      }
+    }
+
+    const modeOptions = Object.keys(SettingsLoader.#CLI_MODES).filter(option => options[option]);
+    if (options.mode !== undefined) modeOptions.push('mode');
+
+    if (modeOptions.length > 1) {
+      errors.push(`${modeOptions.map(option => `--${option}`).join(', ')}: ${L10n.get(L10n.Keys.CONFLICTING_OPTIONS)}`);
+    } else if (SettingsLoader.#CLI_MODES[modeOptions[0]]) {
+      origins.MODE = `--${modeOptions[0]}`;
+      settings.MODE = SettingsLoader.#CLI_MODES[modeOptions[0]];
+    }
+
+    if (options.quiet && options.output !== undefined) {
+      errors.push(`--quiet, --output: ${L10n.get(L10n.Keys.CONFLICTING_OPTIONS)}`);
+    } else if (options.quiet) {
+      origins.OUTPUT_MODE = '--quiet';
+      settings.OUTPUT_MODE = TimelineMediaSorter.OutputModes.QUIET;
+    }
+  }
+
+  /**
+   * Resolves a path or a list of paths against `baseDir`; empty and invalid values are left for validation.
+   */
+  static #resolvePaths(baseDir, value) {
+    const resolve = item => typeof item === 'string' && item ? path.resolve(baseDir, item) : item;
+    return Array.isArray(value) ? value.map(resolve) : resolve(value);
+  }
+
+  static #validate(settings, origins) {
+    const errors = [];
+
+    for (const [key, validate] of Object.entries(SettingsLoader.#getValidators())) {
+      const error = validate(settings[key]);
+      if (error) errors.push(`${origins[key] || path.basename(__filename)} → ${key}: ${error}`);
+    }
+
+    return errors;
+  }
+
+  static #getValidators() {
+    const { Modes, TransferModes, CollisionPolicies, DuplicatesModes, DateSources } = TimelineMediaSorter;
+    const { Keys } = L10n;
+    const got = value => `${L10n.get(Keys.GOT)} ${Utils.exists(value) ? JSON.stringify(value) : value}`;
+    const isString = value => typeof value === 'string';
+    const isStringList = value => Array.isArray(value) && value.every(isString);
+
+    const boolean = value => typeof value === 'boolean'
+      ? null
+      : `${L10n.get(Keys.EXPECTED_BOOLEAN)}, ${got(value)}`;
+    const string = value => isString(value)
+      ? null
+      : `${L10n.get(Keys.EXPECTED_STRING)}, ${got(value)}`;
+    const oneOf = values => value => values.includes(value)
+      ? null
+      : `${L10n.get(Keys.EXPECTED_ONE_OF)} ${values.map(item => `'${item}'`).join(', ')}, ${got(value)}`;
+    const stringList = value => isStringList(value)
+      ? null
+      : `${L10n.get(Keys.EXPECTED_STRING_LIST)}, ${got(value)}`;
+    const listOf = values => value => isStringList(value) && value.every(item => values.includes(item))
+      ? null
+      : `${L10n.get(Keys.EXPECTED_LIST_OF)} ${values.map(item => `'${item}'`).join(', ')}, ${got(value)}`;
+
+    const events = (value) => {
+      const isDates = dates => isString(dates) || (Array.isArray(dates) && dates.length && dates.every(isString));
+      const isEvent = event => isDates(event) || (
+        SettingsLoader.#isPlainObject(event)
+        && isDates(event.dates)
+        && (event.priority === undefined || Number.isFinite(event.priority))
+      );
+
+      return SettingsLoader.#isPlainObject(value) && Object.values(value).every(isEvent)
+        ? null
+        : L10n.get(Keys.EXPECTED_EVENTS);
+    };
+
+    const seasonStarts = (value) => {
+      const seasons = Object.values(SeasonsResolver.Seasons);
+      if (!SettingsLoader.#isPlainObject(value)) {
+        return `${L10n.get(Keys.EXPECTED_SEASON_STARTS)} ${seasons.map(season => `'${season}'`).join(', ')}, ${got(value)}`;
+      }
+
+      for (const [season, start] of Object.entries(value)) {
+        if (!seasons.includes(season)) {
+          return `${season}: ${L10n.get(Keys.EXPECTED_ONE_OF)} ${seasons.map(item => `'${item}'`).join(', ')}`;
+        }
+        if (!SeasonsResolver.parseStart(start)) {
+          return `${season}: ${L10n.get(Keys.EXPECTED_SEASON_START)}, ${got(start)}`;
+        }
+      }
+
+      const starts = SeasonsResolver.getStarts().map(({ month, day }) => `${day}.${month}`);
+      return new Set(starts).size === starts.length ? null : L10n.get(Keys.SEASON_STARTS_OVERLAP);
+    };
+
+    const template = tokens => (value) => {
+      if (!isString(value)) return `${L10n.get(Keys.EXPECTED_STRING)}, ${got(value)}`;
+
+      const unknownTokens = FolderTemplate.getUnknownTokens(value, Object.values(tokens));
+      return unknownTokens.length
+        ? `${L10n.get(Keys.UNKNOWN_TOKENS)} ${unknownTokens.map(token => `{${token}}`).join(', ')}; `
+          + `${L10n.get(Keys.EXPECTED_ONE_OF)} ${Object.values(tokens).map(token => `{${token}}`).join(', ')}`
+        : null;
+    };
+
+    const year = (allowNull) => value => Number.isInteger(value) || (allowNull && value === null)
+      ? null
+      : `${L10n.get(allowNull ? Keys.EXPECTED_YEAR_OR_NULL : Keys.EXPECTED_YEAR)}, ${got(value)}`;
+
+    const positiveInteger = value => Number.isInteger(value) && value > 0
+      ? null
+      : `${L10n.get(Keys.EXPECTED_POSITIVE_INTEGER)}, ${got(value)}`;
+
+    const timeZone = value => isString(value) && (!value || Utils.isTimeZone(value))
+      ? null
+      : `${L10n.get(Keys.EXPECTED_TIME_ZONE)}, ${got(value)}`;
+
+    const patterns = (value) => {
+      if (!Array.isArray(value)) return `${L10n.get(Keys.EXPECTED_PATTERNS)}, ${got(value)}`;
+
+      for (const pattern of value) {
+        if (pattern instanceof RegExp) continue;
+        if (!isString(pattern)) return `${L10n.get(Keys.EXPECTED_PATTERNS)}, ${got(pattern)}`;
+
+        try {
+          new RegExp(pattern);
+        } catch (err) {
+          return err.message;
+        }
+      }
+
+      return null;
+    };
+
+    return {
+      SAVE_LOGS: boolean,
+      REPORT_FORMATS: listOf(Object.values(RunReport.Formats)),
+      HTML_REPORT: boolean,
+      LANGUAGE: oneOf(['', 'ru', 'en']),
+      OUTPUT_MODE: oneOf(Object.values(TimelineMediaSorter.OutputModes)),
+      SOURCE_PATH: string,
+      TARGET_PATH: string,
+      TRANSFER_MODE: oneOf(Object.values(TransferModes)),
+      HEMISPHERE: oneOf(Object.values(SeasonsResolver.Hemispheres)),
+      SEASON_STARTS: seasonStarts,
+      SPANNING_SEASONS: boolean,
+      FOLDER_TEMPLATE: template(FolderTemplate.Tokens),
+      EVENT_FOLDER_TEMPLATE: template(FolderTemplate.Tokens),
+      CUSTOM_EVENTS_DATES: events,
+      CALENDAR_FILES: stringList,
+      CALENDAR_EVENT_NAME: template(CalendarReader.Tokens),
+      INVALID_EVENTS: oneOf(Object.values(TimelineMediaSorter.InvalidEventsPolicies)),
+      OVERLAPPING_EVENTS: oneOf(Object.values(TimelineMediaSorter.OverlappingEventsPolicies)),
+      OVERLAPPING_EVENTS_FOLDER: string,
+      IGNORED_DIRECTORIES: stringList,
+      IGNORED_FILES: stringList,
+      MODE: oneOf(Object.values(Modes)),
+      COLLISION_POLICY: oneOf(Object.values(CollisionPolicies)),
+      DUPLICATES_MODE: oneOf(Object.values(DuplicatesModes)),
+      CONCURRENCY: positiveInteger,
+      WATCH_STABLE_SECONDS: positiveInteger,
+      WATCH_SUMMARY_MINUTES: positiveInteger,
+      DATE_SOURCES: listOf(Object.values(DateSources)),
+      APPROXIMATE_DATES_FOLDER: string,
+      TIMEZONE: timeZone,
+      DATE_PATTERNS: patterns,
+      MIN_YEAR: year(false),
+      MAX_YEAR: year(true),
+      PHOTO_EXTENSIONS: stringList,
+      VIDEO_EXTENSIONS: stringList,
+      KEEP_COMPANIONS: boolean,
+      SIDECAR_EXTENSIONS: stringList,
+    };
+  }
+
+  static #isPlainObject(value) {
+    return Utils.exists(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+/**
+ * Append-only journal of the changes made by sorting runs.
+ * Every record is flushed to disk before the change it describes is made,
+ * so even a run interrupted midway can be rolled back.
+ */
+class RunJournal {
+  static RecordTypes = Object.freeze({
+    RUN: 'run',
+    MOVE: 'move',
+    COPY: 'copy',
+    LINK: 'link',
+    MKDIR: 'mkdir',
+    RMDIR: 'rmdir',
+    REMOVE_DUPLICATE: 'remove-duplicate',
+    REPLACE: 'replace',
+    UNDO: 'undo',
+  });
+
+  #fd;
+  #sourceRoot;
+  #targetRoot;
+
+  constructor(fd, sourceRoot, targetRoot) {
+    this.#fd = fd;
+    this.#sourceRoot = sourceRoot;
+    this.#targetRoot = targetRoot;
+  }
+
+  /**
+   * Starts a new run. Source paths are recorded relative to `sourceRoot`,
+   * target paths relative to `targetRoot`.
+   */
+  static start(journalPath, { sourceRoot, targetRoot, mode, transferMode }) {
+    const id = new Date().toISOString();
+    const journal = new RunJournal(fs.openSync(journalPath, 'a'), sourceRoot, targetRoot);
+    journal.#append({ type: RunJournal.RecordTypes.RUN, id, sourceRoot, targetRoot, mode, transferMode });
+    return journal;
+  }
+
+  recordTransfer(transferMode, source, target, size, mtimeMs) {
+    const { RecordTypes } = RunJournal;
+    const type = { copy: RecordTypes.COPY, hardlink: RecordTypes.LINK }[transferMode] || RecordTypes.MOVE;
+
+    this.#append({
+      type,
+      source: path.relative(this.#sourceRoot, source),
+      target: path.relative(this.#targetRoot, target),
+      size,
+      mtimeMs,
+    });
+  }
+
+  recordCreatedDirs(firstCreatedDir, targetDir) {
+    const dirs = [];
+
+    for (let dir = targetDir; dir.length >= firstCreatedDir.length; dir = path.dirname(dir)) {
+      dirs.unshift(path.relative(this.#targetRoot, dir));
+      if (dir === firstCreatedDir) break;
+    }
+
+    this.#append({ type: RunJournal.RecordTypes.MKDIR, dirs });
+  }
+
+  recordRemovedDuplicate(source, target) {
+    this.#append({
+      type: RunJournal.RecordTypes.REMOVE_DUPLICATE,
+      source: path.relative(this.#sourceRoot, source),
+      target: path.relative(this.#targetRoot, target),
+    });
+  }
+
+  /**
+   * Records a library file moved aside to make room for a newer one; both paths are in the library.
+   */
+  recordReplaced(target, replacedPath) {
+    this.#append({
+      type: RunJournal.RecordTypes.REPLACE,
+      target: path.relative(this.#targetRoot, target),
+      replaced: path.relative(this.#targetRoot, replacedPath),
+    });
+  }
+
+  recordDeletedDir(dir) {
+    this.#append({ type: RunJournal.RecordTypes.RMDIR, dir: path.relative(this.#sourceRoot, dir) });
+  }
+
+  close() {
+    fs.closeSync(this.#fd);
+  }
+
+  /**
+   * Returns the last run that has not been undone yet as `{ id, sourceRoot, targetRoot, records }`, or `null`.
+   */
+  static readLastRun(journalPath) {
+    if (!fs.existsSync(journalPath)) return null;
+
+    const runs = new Map();
+    const undoneRuns = new Set();
+    let currentRun = null;
+
+    for (const line of fs.readFileSync(journalPath, 'utf-8').split('\n')) {
+      let record;
+
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // Skip empty lines and a record torn by an interrupted write
+        continue;
+      }
+
+      if (record.type === RunJournal.RecordTypes.RUN) {
+        const { id, sourceRoot = record.rootPath, targetRoot = record.rootPath } = record;
+        currentRun = { id, sourceRoot, targetRoot, records: [] };
+        runs.set(record.id, currentRun);
+      } else if (record.type === RunJournal.RecordTypes.UNDO) {
+        undoneRuns.add(record.id);
+      } else {
+        currentRun?.records.push(record);
+      }
+    }
+
+    return [...runs.values()].reverse().find(run => !undoneRuns.has(run.id)) || null;
+  }
+
+  static markUndone(journalPath, id) {
+    const journal = new RunJournal(fs.openSync(journalPath, 'a'), null, null);
+    journal.#append({ type: RunJournal.RecordTypes.UNDO, id });
+    journal.close();
+  }
+
+  #append(record) {
+    fs.writeSync(this.#fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.#fd);
+  }
+}
+
+/**
+ * Structured report of a run with a record for every file, for scripts and spreadsheets.
+ */
+class RunReport {
+  static Formats = Object.freeze({
+    JSONL: 'jsonl',
+    CSV: 'csv',
+  });
+
+  static #COLUMNS = ['source', 'target', 'status', 'date', 'dateSource', 'event', 'error'];
+
+  static createRecord({ source, target, status, date = null, dateSource = null, event = null }) {
+    return { source, target, status, date, dateSource, event, error: null };
+  }
+
+  static write(filePath, format, records) {
+    const text = format === RunReport.Formats.CSV ? RunReport.#toCsv(records) : RunReport.#toJsonLines(records);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text, 'utf-8');
+  }
+
+  static #toJsonLines(records) {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+
+  static #toCsv(records) {
+    const escape = (value) => {
+      const text = Utils.exists(value) ? String(value) : '';
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [RunReport.#COLUMNS, ...records.map(record => RunReport.#COLUMNS.map(column => record[column]))];
+
+    // The byte order mark makes Excel read the file as UTF-8 instead of the system code page
+    return `\uFEFF${rows.map(row => `${row.map(escape).join(',')}\r\n`).join('')}`;
+  }
+}
+
+/**
+ * Page with the timeline of a run that opens offline: everything, styles included, is inside the one file.
+ */
+class HtmlReport {
+  static #STYLE = `
+    body { font: 14px/1.5 system-ui, sans-serif; margin: 2em auto; max-width: 1100px; padding: 0 1em; color: #222; }
+    h1 { font-size: 1.6em; margin-bottom: 0; }
+    h2 { border-bottom: 1px solid #ddd; margin-top: 2em; }
+    .muted { color: #777; }
+    table { border-collapse: collapse; width: 100%; margin: .5em 0 1em; }
+    th, td { border-bottom: 1px solid #eee; padding: .3em .6em; text-align: left; vertical-align: top; }
+    td.number, th.number { text-align: right; white-space: nowrap; }
+    td.path { font-family: ui-monospace, monospace; font-size: .9em; word-break: break-all; }
+    details { margin: .3em 0; }
+    summary { cursor: pointer; font-weight: 600; }
+    .error { color: #b00020; }
+  `;
+
+  static write(filePath, { createdAt, targetRoot, records, summary }) {
+    fs.writeFileSync(filePath, HtmlReport.#render({ createdAt, targetRoot, records, summary }), 'utf-8');
+  }
+
+  static #render({ createdAt, targetRoot, records, summary }) {
+    const { FileStatuses } = TimelineMediaSorter;
+    const { year, month, day, hour, minute, second } = Utils.toDateParts(Utils.toWallClock(createdAt, ''));
+    // Only the files that are in the library now make up its timeline
+    const sorted = records
+      .filter(({ status, date }) => date && (status === FileStatuses.MOVED || status === FileStatuses.IN_PLACE))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const withStatus = status => records.filter(record => record.status === status);
+    const title = L10n.get(L10n.Keys.HTML_REPORT_TITLE);
+
+    return `<!DOCTYPE html>
+<html lang="${L10n.getLanguage()}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${HtmlReport.#escape(title)}</title>
+<style>${HtmlReport.#STYLE}</style>
+</head>
+<body>
+<h1>${HtmlReport.#escape(title)}</h1>
+<p class="muted">${HtmlReport.#escape(`${L10n.get(L10n.Keys.HTML_REPORT_CREATED)}: ${year}-${month}-${day} ${hour}:${minute}:${second} · ${targetRoot}`)}</p>
+${HtmlReport.#renderSummary(summary)}
+${HtmlReport.#renderTimeline(sorted)}
+${HtmlReport.#renderEvents(sorted)}
+${HtmlReport.#renderFiles(L10n.get(L10n.Keys.UNKNOWN_DATES_DIR_NAME), withStatus(FileStatuses.UNKNOWN_DATE), targetRoot)}
+${HtmlReport.#renderFiles(L10n.get(L10n.Keys.UNKNOWN_FILES_DIR_NAME), withStatus(FileStatuses.UNSUPPORTED_EXT), targetRoot)}
+${HtmlReport.#renderErrors(withStatus(FileStatuses.ERROR))}
+</body>
+</html>
+`;
+  }
+
+  static #renderSummary(summary) {
+    const rows = summary.map(({ icon, label, value }) => [`${icon} ${label}`, String(value)]);
+    return `<h2>${HtmlReport.#escape(L10n.get(L10n.Keys.HTML_REPORT_SUMMARY))}</h2>\n${HtmlReport.#renderTable(null, rows)}`;
+  }
+
+  /**
+   * Lists the years with their seasons, named like the season folders, e.g. "Winter 2023-2024".
+   */
+  static #renderTimeline(records) {
+    const years = new Map();
+
+    for (const record of records) {
+      const [year, month, day] = record.date.split('-').map(Number);
+      const { season, seasonYear, seasonYears } = SeasonsResolver.getSeasonYears(Utils.wallClock(year, month, day));
+      const seasonName = `${SeasonsResolver.getName(season)} ${seasonYears}`;
+
+      if (!years.has(seasonYear)) years.set(seasonYear, new Map());
+      const seasons = years.get(seasonYear);
+      if (!seasons.has(seasonName)) seasons.set(seasonName, []);
+      seasons.get(seasonName).push(record);
+    }
+
+    const header = [L10n.get(L10n.Keys.HTML_REPORT_SEASON), ...HtmlReport.#getCountsHeader()];
+    const sections = [...years].map(([year, seasons]) => {
+      const yearRecords = [...seasons.values()].flat();
+      const rows = [...seasons].map(([seasonName, seasonRecords]) => [seasonName, ...HtmlReport.#count(seasonRecords)]);
+      const [files, photos, videos] = HtmlReport.#count(yearRecords);
+
+      return `<details open><summary>${year} · ${files} (${HtmlReport.#escape(L10n.get(L10n.Keys.PHOTO_DIR_NAME))}: ${photos}, `
+        + `${HtmlReport.#escape(L10n.get(L10n.Keys.VIDEO_DIR_NAME))}: ${videos})</summary>\n`
+        + `${HtmlReport.#renderTable(header, rows)}</details>`;
+    });
+
+    return `<h2>${HtmlReport.#escape(L10n.get(L10n.Keys.HTML_REPORT_TIMELINE))}</h2>\n${HtmlReport.#orNone(sections.join('\n'))}`;
+  }
+
+  static #renderEvents(records) {
+    const events = new Map();
+
+    for (const record of records.filter(({ event }) => event)) {
+      if (!events.has(record.event)) events.set(record.event, []);
+      events.get(record.event).push(record);
+    }
+
+    const header = [L10n.get(L10n.Keys.HTML_REPORT_EVENT), L10n.get(L10n.Keys.HTML_REPORT_DATES), ...HtmlReport.#getCountsHeader()];
+    const rows = [...events].map(([event, eventRecords]) => {
+      const first = eventRecords[0].date;
+      const last = eventRecords[eventRecords.length - 1].date;
+      return [event.split(/[\\/|]/).join(' / '), first === last ? first : `${first} — ${last}`, ...HtmlReport.#count(eventRecords)];
+    });
+
+    return `<h2>${HtmlReport.#escape(L10n.get(L10n.Keys.HTML_REPORT_EVENTS))}</h2>\n`
+      + HtmlReport.#orNone(rows.length ? HtmlReport.#renderTable(header, rows) : '');
+  }
+
+  static #renderFiles(title, records, targetRoot) {
+    const rows = records.map(({ target }) => [path.relative(targetRoot, target)]);
+
+    return `<h2>${HtmlReport.#escape(`${title} (${records.length})`)}</h2>\n`
+      + HtmlReport.#orNone(rows.length ? HtmlReport.#renderTable(null, rows, ['path']) : '');
+  }
+
+  static #renderErrors(records) {
+    const header = [L10n.get(L10n.Keys.PLAN_SOURCE), L10n.get(L10n.Keys.HTML_REPORT_ERROR)];
+    const rows = records.map(({ source, error }) => [source, error]);
+
+    return `<h2 class="error">${HtmlReport.#escape(`${L10n.get(L10n.Keys.HTML_REPORT_ERRORS)} (${records.length})`)}</h2>\n`
+      + HtmlReport.#orNone(rows.length ? HtmlReport.#renderTable(header, rows, ['path', 'error']) : '');
+  }
+
+  static #getCountsHeader() {
+    return [L10n.get(L10n.Keys.HTML_REPORT_FILES), L10n.get(L10n.Keys.PHOTO_DIR_NAME), L10n.get(L10n.Keys.VIDEO_DIR_NAME)];
+  }
+
+  /**
+   * Returns the number of files, photos and videos; sidecars are counted only as files.
+   */
+  static #count(records) {
+    const extensions = records.map(({ source }) => path.extname(source).toLowerCase());
+    return [
+      records.length,
+      extensions.filter(ext => SettingsLoader.current.PHOTO_EXTENSIONS.includes(ext)).length,
+      extensions.filter(ext => SettingsLoader.current.VIDEO_EXTENSIONS.includes(ext)).length,
+    ];
+  }
+
+  /**
+   * Renders a table; columns of numbers are aligned to the right, the others get the matching class of `classes`.
+   */
+  static #renderTable(header, rows, classes = []) {
+    const columnClasses = (rows[0] || []).map((value, idx) => typeof value === 'number' ? 'number' : classes[idx]);
+    const renderRow = (tag, row) => `<tr>${row.map((value, idx) => {
+      const className = columnClasses[idx];
+      return `<${tag}${className ? ` class="${className}"` : ''}>${HtmlReport.#escape(value)}</${tag}>`;
+    }).join('')}</tr>`;
+    const head = header ? `<thead>${renderRow('th', header)}</thead>` : '';
+    const body = rows.map(row => renderRow('td', row)).join('\n');
+
+    return `<table>${head}<tbody>\n${body}\n</tbody></table>`;
+  }
+
+  static #orNone(html) {
+    return html || `<p class="muted">${HtmlReport.#escape(L10n.get(L10n.Keys.HTML_REPORT_NONE))}</p>`;
+  }
+
+  static #escape(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+  }
+}
+
+class PerformanceWrapper {
+  static async getCallbackPerformance(callback) {
+    const startTime = Date.now();
+    await callback().catch(LoggerUtils.red);
+    const endTime = Date.now();
+    return PerformanceWrapper.#formatPerformance(endTime - startTime);
+  }
+
+  static #formatPerformance(ms) {
+    const hours = Math.floor(ms / 3600000);
+    ms %= 3600000;
+    const minutes = Math.floor(ms / 60000);
+    ms %= 60000;
+    const seconds = Math.floor(ms / 1000);
+    const milliseconds = Math.floor(ms % 1000);
+
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const padMs = (n) => String(n).padStart(3, '0');
+
+    if (hours) {
+      return `${pad(hours)}.${pad(minutes)}.${pad(seconds)}:${padMs(milliseconds)} (h.m.s:ms)`;
+    } else if (minutes) {
+      return `${pad(minutes)}.${pad(seconds)}:${padMs(milliseconds)} (m.s:ms)`;
+    } else if (seconds) {
+      return `${seconds}:${padMs(milliseconds)} (s:ms)`;
+    } else {
+      return `${milliseconds} (ms)`;
+    }
+  }
+}
+
+class FolderTemplate {
+  static Tokens = Object.freeze({
+    YEAR: 'year',
+    MONTH: 'month',
+    DAY: 'day',
+    QUARTER: 'quarter',
+    MONTH_NAME: 'monthName',
+    SEASON: 'season',
+    SEASON_YEAR: 'seasonYear',
+    SEASON_YEARS: 'seasonYears',
+    TYPE: 'type',
+    VIDEOS: 'videos',
+    CAMERA: 'camera',
+    EVENT: 'event',
+  });
+
+  static #TOKEN_REGEX = /\{(\w+)(?::(\d+))?\}/g;
+  static #DEFAULT_WIDTHS = { month: 2, day: 2 };
+
+  static getUnknownTokens(template, tokens = Object.values(FolderTemplate.Tokens)) {
+    return [...template.matchAll(FolderTemplate.#TOKEN_REGEX)]
+      .map(([, token]) => token)
+      .filter(token => !tokens.includes(token));
+  }
+
+  static uses(template, token) {
+    return [...template.matchAll(FolderTemplate.#TOKEN_REGEX)].some(([, name]) => name === token);
+  }
+
+  /**
+   * Fills the tokens in and splits the result into folder names, dropping empty ones.
+   * Numbers are zero-padded to the width given after a colon, arrays are nested folders.
+   */
+  static render(template, values) {
+    const rendered = template.replace(FolderTemplate.#TOKEN_REGEX, (match, token, width) => {
+      const value = values[token];
+
+      if (Array.isArray(value)) return value.join('/');
+      if (typeof value === 'number') {
+        return String(value).padStart(parseInt(width, 10) || FolderTemplate.#DEFAULT_WIDTHS[token] || 0, '0');
+      }
+
+      // A value must not create folders of its own or contain characters that are invalid in folder names
+      return Utils.exists(value) ? String(value).replace(/[\\/:*?"<>|]/g, '_') : match;
+    });
+
+    return rendered.split(/[\\/]/).map(name => name.trim()).filter(Boolean);
+  }
+}
+
+class SeasonsResolver {
+  static Seasons = Object.freeze({
+    WINTER: 'winter',
+    SPRING: 'spring',
+    SUMMER: 'summer',
+    AUTUMN: 'autumn',
+  });
+
+  static Hemispheres = Object.freeze({
+    NORTH: 'north',
+    SOUTH: 'south',
+  });
+
+  static #PRESETS = Object.freeze({
+    north: { winter: '01.12', spring: '01.03', summer: '01.06', autumn: '01.09' },
+    south: { summer: '01.12', autumn: '01.03', winter: '01.06', spring: '01.09' },
+  });
+
+  /**
+   * Returns `{ season, startYear, endYear }`: the season the date falls into and the years it starts
+   * and ends in, which differ for the season that spans New Year.
+   */
+  static getSeason(date) {
+    const starts = SeasonsResolver.getStarts();
+    const year = date.getUTCFullYear();
+    const dayOfYear = (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+    const index = starts.findLastIndex(({ month, day }) => month * 100 + day <= dayOfYear);
+    const last = starts[starts.length - 1];
+    const lastSpansNewYear = starts[0].month * 100 + starts[0].day > 101;
+
+    // Before the first start of the year the last season of the previous year goes on
+    if (index === -1) return { season: last.season, startYear: year - 1, endYear: year };
+
+    const { season } = starts[index];
+    const spansNewYear = index === starts.length - 1 && lastSpansNewYear;
+    return { season, startYear: year, endYear: spansNewYear ? year + 1 : year };
+  }
+
+  /**
+   * Returns `{ season, seasonYear, seasonYears }`: the season of the date with the year it is filed under
+   * and its label years, e.g. 2023 and "2023-2024" for January 2024 when SPANNING_SEASONS is enabled.
+   */
+  static getSeasonYears(date) {
+    const { season, startYear, endYear } = SeasonsResolver.getSeason(date);
+    const year = date.getUTCFullYear();
+
+    return SettingsLoader.current.SPANNING_SEASONS && startYear !== endYear
+      ? { season, seasonYear: startYear, seasonYears: `${startYear}-${endYear}` }
+      : { season, seasonYear: year, seasonYears: year };
+  }
+
+  /**
+   * Returns the season starts from HEMISPHERE and SEASON_STARTS as `{ season, month, day }` sorted by date.
+   */
+  static getStarts() {
+    const preset = SeasonsResolver.#PRESETS[SettingsLoader.current.HEMISPHERE]
+      || SeasonsResolver.#PRESETS[SeasonsResolver.Hemispheres.NORTH];
+
+    return Object.entries({ ...preset, ...SettingsLoader.current.SEASON_STARTS })
+      .map(([season, start]) => ({ season, ...SeasonsResolver.parseStart(start) }))
+      .sort((a, b) => (a.month - b.month) || (a.day - b.day));
+  }
+
+  /**
+   * Parses "DD.MM" or "MM" into `{ month, day }`, or returns `null` if it is not a valid day of the year.
+   */
+  static parseStart(start) {
+    const match = String(start).match(/^(?:(?<day>\d{1,2})\.)?(?<month>\d{1,2})$/);
+    if (!match) return null;
+
+    const month = parseInt(match.groups.month, 10);
+    const day = parseInt(match.groups.day ?? '1', 10);
+    // 2000 is a leap year, so 29.02 is accepted
+    const date = Utils.wallClock(2000, month, day);
+
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? { month, day } : null;
+  }
+
+  static getName(season) {
+    const { Seasons } = SeasonsResolver;
+    const keys = {
+      [Seasons.WINTER]: L10n.Keys.WINTER,
+      [Seasons.SPRING]: L10n.Keys.SPRING,
+      [Seasons.SUMMER]: L10n.Keys.SUMMER,
+      [Seasons.AUTUMN]: L10n.Keys.AUTUMN,
+    };
+    return L10n.get(keys[season] || L10n.Keys.UNKNOWN);
+  }
+}
+
+class EventsResolver {
+  /**
+   * Finds the event the date belongs to.
+   * With `hasTime` the times of the events are compared too, so a photo taken at 02:30 can belong to a party of the previous day;
+   * without it the date is matched by day, to every event on any day it covers.
+   */
+  static getCustomEventMatch(date, hasTime = false) {
+    const matches = EventsResolver.#getCustomEvents()
+      .map(customEvent => EventsResolver.#matchEvent(customEvent, date, hasTime))
+      .filter(Boolean);
+
+    return EventsResolver.#resolveOverlap(matches);
+  }
+
+  /**
+   * Finds pairs of different events that cover the same days.
+   * Days are checked from the earliest to the latest year mentioned in the events or the current year,
+   * so recurring events without years are compared within these years only.
+   * Returns `{ first, second, ranges, winner }` where `ranges` are the shared `{ start, end }` days
+   * and `winner` is the folder the files of the first shared day go to.
+   */
+  static findOverlaps() {
+    const events = EventsResolver.#getCustomEvents();
+    const years = [new Date().getFullYear(), ...events.flatMap(({ start, end }) => [start.year, end.year]).filter(Utils.exists)];
+    const lastDay = Utils.normalizedStart(Math.max(...years), 12, 31);
+    const overlaps = new Map();
+
+    for (let date = Utils.normalizedStart(Math.min(...years), 1, 1); date <= lastDay; date.setUTCDate(date.getUTCDate() + 1)) {
+      const matched = events.filter(customEvent => EventsResolver.#matchEvent(customEvent, date));
+
+      for (let i = 0; i < matched.length; i++) {
+        for (let j = i + 1; j < matched.length; j++) {
+          // Instances of one event share its folder, so they do not conflict
+          if (matched[i].name === matched[j].name) continue;
+
+          const key = `${events.indexOf(matched[i])}:${events.indexOf(matched[j])}`;
+          if (!overlaps.has(key)) overlaps.set(key, { first: matched[i], second: matched[j], days: [] });
+          overlaps.get(key).days.push(new Date(date));
+        }
+      }
+    }
+
+    return [...overlaps.values()].map(({ first, second, days }) => ({
+      first: `${first.name} (${first.dates})`,
+      second: `${second.name} (${second.dates})`,
+      ranges: EventsResolver.#toRanges(days),
+      winner: EventsResolver.getCustomEventPath(EventsResolver.getCustomEventMatch(days[0])).join('/'),
+    }));
+  }
+
+  static #toRanges(days) {
+    const ranges = [];
+
+    for (const day of days) {
+      const last = ranges[ranges.length - 1];
+      const nextDay = last && Utils.wallClock(last.end.getUTCFullYear(), last.end.getUTCMonth() + 1, last.end.getUTCDate() + 1);
+
+      if (nextDay?.getTime() === day.getTime()) {
+        last.end = day;
+      } else {
+        ranges.push({ start: day, end: day });
+      }
+    }
+
+    return ranges;
+  }
+
+  static #resolveOverlap(matches) {
+    const [first] = matches;
+    if (matches.length <= 1) return first || null;
+
+    switch (SettingsLoader.current.OVERLAPPING_EVENTS) {
+      case TimelineMediaSorter.OverlappingEventsPolicies.MOST_SPECIFIC:
+        return matches.reduce((best, match) => match.duration < best.duration ? match : best);
+      case TimelineMediaSorter.OverlappingEventsPolicies.COMBINED: {
+        const names = [...new Set(matches.map(({ name }) => name.split(/[\\/|]/).pop().trim()))];
+        if (names.length === 1) return first;
+
+        // A combined folder is not recurring, so it gets the years like a fixed event
+        const name = [SettingsLoader.current.OVERLAPPING_EVENTS_FOLDER, names.join(' + ')].filter(Boolean).join('|');
+        return { ...first, name, recurring: false };
+      }
+      default:
+        return first;
+    }
+  }
+
+  static #matchEvent(customEvent, date, hasTime) {
+    const year = date.getUTCFullYear();
+    let match = false;
+    const crossedYears = [];
+    const { name, start, end, startTime, endTime, fixedRange, recurring, singleDay, crossesYear, duration } = customEvent;
+    const getStart = (startYear) => EventsResolver.#getBoundary(startYear, start, hasTime && startTime, false);
+    const getEnd = (endYear) => EventsResolver.#getBoundary(endYear, end, hasTime && endTime, true);
+
+    if (fixedRange) {
+      const startDate = getStart(start.year);
+      const endDate = getEnd(end.year);
+
+      if (date >= startDate && date <= endDate) {
+        match = true;
+
+        if (crossesYear) {
+          crossedYears.push(start.year);
+          crossedYears.push(end.year);
+        }
+      }
+    } else if (recurring) {
+      if (singleDay) {
+        const matchesDayMonth = date.getUTCDate() === start.day && date.getUTCMonth() + 1 === start.month;
+
+        if (!matchesDayMonth) return null;
+
+        match = Utils.inRange(start.year, year, end.year) && date >= getStart(year) && date <= getEnd(year);
+      } else {
+        if (!Utils.inRange(start.year, year, end.year)) return null;
+
+        if (crossesYear) {
+          const clamp = EventsResolver.#clampYear;
+          const prevStart = getStart(clamp(year - 1, start.year, true));
+          const prevEnd = getEnd(clamp(year, end.year, false));
+          const currStart = getStart(clamp(year, start.year, true));
+          const currEnd = getEnd(clamp(year + 1, end.year, false));
+
+          if (date >= prevStart && date <= prevEnd) {
+            match = true;
+            crossedYears.push(prevStart.getUTCFullYear());
+            crossedYears.push(prevEnd.getUTCFullYear());
+          }
+
+          if (date >= currStart && date <= currEnd) {
+            match = true;
+            crossedYears.push(currStart.getUTCFullYear());
+            crossedYears.push(currEnd.getUTCFullYear());
+          }
+        } else {
+          const startDate = getStart(year);
+          const endDate = getEnd(year);
+
+          if (date >= startDate && date <= endDate) {
+            match = true;
+          }
+        }
+      }
+    }
+
+    return match ? { name, year, recurring, crossedYears, duration } : null;
+  }
+
+  /**
+   * Returns the first or the last moment of an event boundary: the given time, or the whole day without one.
+   */
+  static #getBoundary(year, { month, day }, time, isEnd) {
+    const date = isEnd ? Utils.normalizedEnd(year, month, day) : Utils.normalizedStart(year, month, day);
+    if (time) date.setUTCHours(time.hour, time.minute, isEnd ? 59 : 0, isEnd ? 999 : 0);
+    return date;
+  }
+
+  /**
+   * Checks every entry of CUSTOM_EVENTS_DATES and CALENDAR_FILES.
+   * Returns `{ name, dates, reason }` for each invalid one, where `reason` is an L10n key.
+   */
+  static validate() {
+    return EventsResolver.#getEntries()
+      .map(([name, dates, , error]) => ({ name, dates, reason: error || EventsResolver.#getEntryError(name, dates) }))
+      .filter(({ reason }) => reason);
+  }
+
+  static getEntriesCount() {
+    return EventsResolver.#getEntries().length;
+  }
+
+  static getCustomEventPath(customEvent) {
+    const { name, year, recurring, crossedYears } = customEvent;
+
+    const getYears = () => {
+      if (crossedYears.length) {
+        return `${crossedYears[0]}-${crossedYears[1]}`;
+      }
+      return year;
+    };
+
+    const folderNames = name.split(/[\\/|]/);
+    const updatedFolderNames = folderNames.map((name, idx) => {
+      if (!recurring && idx === folderNames.length - 1) {
+        return `${name} ${getYears()}`;
+      }
+
+      return name;
+    });
+
+    if (recurring) {
+      const lastFolderName = updatedFolderNames[updatedFolderNames.length - 1];
+      updatedFolderNames.push(`${lastFolderName} ${getYears()}`);
+    }
+
+    return updatedFolderNames;
+  };
+
+  static #getCustomEvents() {
+    const recRegex = /[><_]/;
+
+    const isEmptyDate = date => Object.values(date).every(value => !Utils.exists(value));
+
+    const isFullDate = date => Object.values(date).every(Utils.exists);
+
+    const lacksYear = date => Utils.exists(date.day) && Utils.exists(date.month) && !Utils.exists(date.year);
+
+    const isSingleDay = (start, end) =>
+      Utils.exists(start.day) &&
+      Utils.exists(start.month) &&
+      Utils.exists(end.day) &&
+      Utils.exists(end.month) &&
+      start.day === end.day &&
+      start.month === end.month &&
+      (
+        start.year === end.year ||
+        Utils.exists(start.year) && !Utils.exists(end.year) ||
+        !Utils.exists(start.year) && Utils.exists(end.year)
+      );
+
+    const events = EventsResolver.#getPreparedEvents().map(([name, rawDates, priority]) => {
+      const { startRaw, endRaw } = EventsResolver.#prepareDates(rawDates);
+
+      const start = EventsResolver.#parseDate(startRaw);
+      const end = EventsResolver.#parseDate(endRaw);
+      const startTime = EventsResolver.#parseTime(startRaw);
+      const endTime = EventsResolver.#parseTime(endRaw);
+
+      if (isEmptyDate(start) && isEmptyDate(end)) return;
+
+      const singleDay = isSingleDay(start, end) || recRegex.test(rawDates);
+      const recurring = recRegex.test(rawDates) || lacksYear(start) || lacksYear(end);
+      const fixedRange = !recurring && isFullDate(start) && isFullDate(end);
+      const crossesYear = !singleDay && (
+        Utils.exists(start.year) && Utils.exists(end.year) && start.year < end.year ||
+        Utils.exists(start.month) && Utils.exists(end.month) && start.month > end.month ||
+        Utils.exists(start.month) && Utils.exists(end.month) && Utils.exists(start.day) && Utils.exists(end.day) &&
+        start.month === end.month && start.day > end.day
+      );
+
+      const event = { name, dates: rawDates, priority, start, end, startTime, endTime, fixedRange, singleDay, recurring, crossesYear };
+      return { ...event, duration: EventsResolver.#getDuration(event) };
+    }).filter(Boolean);
+
+    return EventsResolver.#sortEvents(events);
+  }
+
+  /**
+   * Returns the length of one occurrence of the event in days.
+   */
+  static #getDuration({ start, end, fixedRange, singleDay, crossesYear }) {
+    if (singleDay) return 1;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (fixedRange) {
+      return Math.round((Utils.normalizedStart(end.year, end.month, end.day) - Utils.normalizedStart(start.year, start.month, start.day)) / dayMs) + 1;
+    }
+
+    // Recurring ranges are measured in a common year
+    const days = Math.round((Utils.normalizedStart(2001, end.month, end.day) - Utils.normalizedStart(2001, start.month, start.day)) / dayMs) + 1;
+    return crossesYear ? days + 365 : days;
+  }
+
+  static #clampYear(baseYear, limitYear, preferHigher) {
+    if (!Utils.exists(limitYear)) return baseYear;
+    return preferHigher ? Math.max(baseYear, limitYear) : Math.min(baseYear, limitYear);
+  };
+
+  static #prepareDates(rawDates) {
+    const dateDivider = '.';
+    const rangeDivider = '-';
+    const emptyYearSymbol = 'x';
+    const recStartSymbol = '>';
+    const recEndSymbol = '<';
+    const recDivider = '_';
+
+    let startRaw, endRaw;
+
+    if (rawDates.includes(recDivider)) {
+      const [day, month, yearPart] = rawDates.split(dateDivider, 3) || [];
+      const [startYear, endYear] = yearPart.match(/\d{4}/g);
+      startRaw = [day, month, startYear].join('.');
+      endRaw = [day, month, endYear].join('.');
+    } else if (rawDates.includes(recStartSymbol)) {
+      startRaw = rawDates.replace(recStartSymbol, '');
+      endRaw = rawDates.split(recStartSymbol, 2)[0] + emptyYearSymbol;
+    } else if (rawDates.includes(recEndSymbol)) {
+      endRaw = rawDates.replace(recEndSymbol, '');
+      startRaw = rawDates.split(recEndSymbol, 2)[0] + emptyYearSymbol;
+    } else if (rawDates.includes(rangeDivider)) {
+      [startRaw, endRaw] = rawDates.split(rangeDivider, 2);
+    } else {
+      startRaw = endRaw = rawDates;
+    }
+
+    return { startRaw, endRaw };
+  };
+
+  static #parseDate(rawDate) {
+    const dateDivider = '.';
+    const [day, month, year] = rawDate?.split(dateDivider, 3) || [];
+
+    return {
+      day: parseInt(day) || null,
+      month: parseInt(month) || null,
+      year: parseInt(year) || null,
+    };
+  };
+
+  /**
+   * Reads the optional "HH:MM" written after a date.
+   */
+  static #parseTime(rawDate) {
+    const match = rawDate?.match(/(\d{1,2}):(\d{2})/);
+    return match ? { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) } : null;
+  }
+
+  static #getPreparedEvents() {
+    // Invalid entries are reported before sorting, here they are just left out
+    return EventsResolver.#getEntries().filter(([name, dates, , error]) => !error && !EventsResolver.#getEntryError(name, dates));
+  };
+
+  static #getEntries() {
+    const events = [];
+
+    const clearStr = (str) => str?.replace(/\s+/g, ' ').trim();
+
+    const customEvents = Object.entries(SettingsLoader.current.CUSTOM_EVENTS_DATES);
+    customEvents.forEach(([name, value]) => {
+      const eventName = clearStr(name);
+      // An event is either its dates, or `{ dates, priority }`
+      const { dates, priority = 0 } = Utils.exists(value) && typeof value === 'object' && !Array.isArray(value)
+        ? value
+        : { dates: value };
+
+      if (Array.isArray(dates)) {
+        if (!dates.length) events.push([eventName, '', priority]);
+        dates.forEach(date => events.push([eventName, clearStr(date), priority]));
+      } else {
+        events.push([eventName, clearStr(dates) ?? '', priority]);
+      }
+    });
+
+    return [...events, ...CalendarReader.getEntries(SettingsLoader.current.CALENDAR_FILES)];
+  };
+
+  /**
+   * Returns the L10n key of the reason an entry is invalid, or `null` if it is valid.
+   * Accepted dates: "DD.MM.YYYY", "DD.MM.x", a range of these joined with "-" where each end may have a time "HH:MM",
+   * and "DD.MM.>YYYY", "DD.MM.<YYYY", "DD.MM.YYYY_YYYY".
+   */
+  static #getEntryError(name, rawDates) {
+    if (name.split(/[\\/|]/).some(folderName => !folderName.trim())) return L10n.Keys.EVENT_EMPTY_FOLDER;
+    if (typeof rawDates !== 'string' || !rawDates) return L10n.Keys.EVENT_NO_DATES;
+
+    const dates = rawDates.replace(/\s+/g, '');
+    const datePattern = '(\\d{1,2})\\.(\\d{1,2})\\.';
+    const timePattern = '(?:(\\d{1,2}):(\\d{2}))?';
+    const range = dates.match(new RegExp(`^${datePattern}(\\d{4}|x)(?:${timePattern}-${datePattern}(\\d{4}|x)${timePattern})?$`, 'i'));
+    const recurring = dates.match(new RegExp(`^${datePattern}(?:>(\\d{4})|<(\\d{4})|(\\d{4})_(\\d{4}))$`));
+
+    if (range) {
+      const [
+        , startDay, startMonth, startYear, startHour, startMinute,
+        endDay = startDay, endMonth = startMonth, endYear = startYear, endHour, endMinute,
+      ] = range;
+      const start = EventsResolver.#toDate(startDay, startMonth, startYear);
+      const end = EventsResolver.#toDate(endDay, endMonth, endYear);
+      if (typeof start === 'string') return start;
+      if (typeof end === 'string') return end;
+
+      const isInvalidTime = (hour, minute) => Utils.exists(hour) && (parseInt(hour, 10) > 23 || parseInt(minute, 10) > 59);
+      if (isInvalidTime(startHour, startMinute) || isInvalidTime(endHour, endMinute)) return L10n.Keys.EVENT_INVALID_TIME;
+
+      start.setUTCHours(parseInt(startHour, 10) || 0, parseInt(startMinute, 10) || 0);
+      end.setUTCHours(Utils.exists(endHour) ? parseInt(endHour, 10) : 23, Utils.exists(endMinute) ? parseInt(endMinute, 10) : 59);
+
+      const isFixed = year => /^\d{4}$/.test(year);
+      return isFixed(startYear) && isFixed(endYear) && end < start ? L10n.Keys.EVENT_END_BEFORE_START : null;
+    }
+
+    if (recurring) {
+      const [, day, month, afterYear, beforeYear, startYear, endYear] = recurring;
+      const date = EventsResolver.#toDate(day, month, afterYear || beforeYear || startYear);
+      if (typeof date === 'string') return date;
+
+      return startYear && parseInt(endYear, 10) < parseInt(startYear, 10) ? L10n.Keys.EVENT_END_BEFORE_START : null;
+    }
+
+    return L10n.Keys.EVENT_UNPARSEABLE;
+  }
+
+  /**
+   * Returns the date, or the L10n key of the reason it is invalid.
+   * For recurring dates a leap year is used, so 29.02.x is accepted.
+   */
+  static #toDate(day, month, year) {
+    const monthNumber = parseInt(month, 10);
+    const dayNumber = parseInt(day, 10);
+    const yearNumber = parseInt(year, 10) || 2000;
+
+    if (monthNumber < 1 || monthNumber > 12) return L10n.Keys.EVENT_INVALID_MONTH;
+
+    const date = Utils.wallClock(yearNumber, monthNumber, dayNumber);
+    return date.getUTCDate() === dayNumber ? date : L10n.Keys.EVENT_INVALID_DAY;
+  }
+
+  static #sortEvents(events) {
+    return events.sort((a, b) => (b.priority - a.priority)
+      || (EventsResolver.#categorizeEvent(a) - EventsResolver.#categorizeEvent(b)));
+  }
+
+  static #categorizeEvent(event) {
+    const { start, end, fixedRange, singleDay, recurring } = event;
+
+    const hasStartYear = Utils.exists(start.year);
+    const hasEndYear = Utils.exists(end.year);
+
+    if (!recurring) {
+      if (fixedRange && singleDay) return 1;
+      if (fixedRange && !singleDay) return 2;
+    }
+
+    if (recurring) {
+      if (singleDay && hasStartYear && hasEndYear) return 3;
+      if (singleDay && !hasStartYear && hasEndYear) return 4;
+      if (singleDay && hasStartYear && !hasEndYear) return 5;
+
+      if (!singleDay && hasStartYear && hasEndYear) return 6;
+      if (!singleDay && !hasStartYear && hasEndYear) return 7;
+      if (!singleDay && hasStartYear && !hasEndYear) return 8;
+
+      if (singleDay && !hasStartYear && !hasEndYear) return 9;
+      if (!singleDay && !hasStartYear && !hasEndYear) return 10;
+    }
+
+    return 999;
+  };
+}
+
+class CalendarReader {
+  static Tokens = Object.freeze({
+    CALENDAR: 'calendar',
+    CATEGORY: 'category',
+    SUMMARY: 'summary',
+  });
+
+  static #entriesCache = new Map();
+
+  static clearCache() {
+    CalendarReader.#entriesCache.clear();
+  }
+
+  /**
+   * Reads the events of the calendar files as entries of CUSTOM_EVENTS_DATES: `[name, dates, priority, error]`.
+   * An unreadable file is an entry with the L10n key ERROR_READING_CALENDAR as its `error`.
+   * Files are read once, the entries are reused afterwards.
+   */
+  static getEntries(filePaths) {
+    return filePaths.flatMap(filePath => CalendarReader.#getCached(filePath).entries);
+  }
+
+  /**
+   * Returns the events of the calendar files that cannot be imported, e.g. weekly ones, as `{ name, dates, reason }`
+   * with the L10n key of the reason. They are left out of the entries: a calendar app allows them, so they are no mistake.
+   */
+  static getSkippedEvents(filePaths) {
+    return filePaths.flatMap(filePath => CalendarReader.#getCached(filePath).skipped);
+  }
+
+  static #getCached(filePath) {
+    if (!CalendarReader.#entriesCache.has(filePath)) {
+      CalendarReader.#entriesCache.set(filePath, CalendarReader.#readEntries(filePath));
+    }
+
+    return CalendarReader.#entriesCache.get(filePath);
+  }
+
+  static #readEntries(filePath) {
+    let text;
+
+    try {
+      text = fs.readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      return { entries: [[filePath, err.message, 0, L10n.Keys.ERROR_READING_CALENDAR]], skipped: [] };
+    }
+
+    const { calendarName, events } = CalendarReader.#parse(text);
+    const calendar = calendarName || path.basename(filePath, path.extname(filePath));
+    const entries = [];
+    const skipped = [];
+
+    events
+      .filter(event => event.STATUS?.value.toUpperCase() !== 'CANCELLED' && !event['RECURRENCE-ID'])
+      .flatMap(event => CalendarReader.#toEntries(event, calendar))
+      .forEach(([name, dates, priority, error]) => error
+        ? skipped.push({ name, dates, reason: error })
+        : entries.push([name, dates, priority, null]));
+
+    return { entries, skipped };
+  }
+
+  /**
+   * Splits the calendar into its VEVENTs, each a map of property names to `{ params, value }`.
+   * Components nested in events (alarms) are skipped.
+   */
+  static #parse(text) {
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let calendarName = null;
+    let event = null;
+    let depth = 0;
+
+    for (const line of lines) {
+      const property = CalendarReader.#parseProperty(line);
+      if (!property) continue;
+
+      const { name, value } = property;
+
+      if (name === 'BEGIN') {
+        if (event) {
+          depth++;
+        } else if (value.toUpperCase() === 'VEVENT') {
+          event = {};
+        }
+      } else if (name === 'END') {
+        if (depth) {
+          depth--;
+        } else if (event && value.toUpperCase() === 'VEVENT') {
+          events.push(event);
+          event = null;
+        }
+      } else if (event && !depth) {
+        event[name] ??= property;
+      } else if (!event && name === 'X-WR-CALNAME') {
+        calendarName = CalendarReader.#unescape(value);
+      }
+    }
+
+    return { calendarName, events };
+  }
+
+  static #parseProperty(line) {
+    // The value starts after the first colon outside quoted parameter values
+    const match = line.match(/^([\w-]+)((?:;[\w-]+=(?:"[^"]*"|[^;:"]*)(?:,(?:"[^"]*"|[^;:,"]*))*)*):(.*)$/);
+    if (!match) return null;
+
+    const [, name, rawParams, value] = match;
+    const params = {};
+    for (const [, key, paramValue] of rawParams.matchAll(/;([\w-]+)=("[^"]*"|[^;]*)/g)) {
+      params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value };
+  }
+
+  static #unescape(value) {
+    return value.replace(/\\([;,\\nN])/g, (match, char) => char.toLowerCase() === 'n' ? ' ' : char);
+  }
+
+  /**
+   * Returns the entries of one event: one entry, or one per occurrence when a yearly rule is listed occurrence by occurrence.
+   */
+  static #toEntries(event, calendar) {
+    const text = key => event[key] ? CalendarReader.#unescape(event[key].value).trim() : '';
+    // Categories are separated by unescaped commas
+    const [category = ''] = (event.CATEGORIES?.value.split(/(?<!\\),/) || []).map(item => CalendarReader.#unescape(item).trim());
+
+    const namePath = CalendarReader.#renderName({
+      [CalendarReader.Tokens.CALENDAR]: calendar,
+      [CalendarReader.Tokens.CATEGORY]: category,
+      [CalendarReader.Tokens.SUMMARY]: text('SUMMARY'),
+    });
+    // An event without a name is reported with its file name instead of an empty one
+    const name = namePath || calendar;
+    const emptyName = namePath ? null : L10n.Keys.EVENT_EMPTY_FOLDER;
+
+    const days = CalendarReader.#getDays(event);
+    if (!days) return [[name, event.DTSTART?.value || '', 0, emptyName || L10n.Keys.EVENT_NO_DATES]];
+
+    const rule = event.RRULE ? CalendarReader.#parseRule(event.RRULE.value) : null;
+    const dates = rule ? CalendarReader.#toYearlyDates(days, rule) : CalendarReader.#formatRange(days.start, days.end, days.times);
+    if (!dates) return [[name, event.RRULE.value, 0, emptyName || L10n.Keys.EVENT_UNSUPPORTED_RULE]];
+
+    return [dates].flat().map(occurrence => [name, occurrence, 0, emptyName]);
+  }
+
+  static #renderName(values) {
+    // Folder separators of the name are unified so the template splits them into folders
+    const template = SettingsLoader.current.CALENDAR_EVENT_NAME.replace(/\|/g, '/');
+    return FolderTemplate.render(template, values).join('|');
+  }
+
+  /**
+   * Returns the first and the last day of the event, or `null` if it has no valid start.
+   * The end is exclusive: an all-day event ends the day before DTEND, a timed one on the day of its last moment.
+   * `times` holds the first and the last moment of a timed event, `null` for an all-day one.
+   */
+  static #getDays(event) {
+    const start = CalendarReader.#parseDate(event.DTSTART);
+    if (!start) return null;
+
+    const end = CalendarReader.#parseDate(event.DTEND)
+      || CalendarReader.#addDuration(start, event.DURATION?.value);
+
+    if (!end || end.date <= start.date) {
+      return { start: CalendarReader.#toDay(start.date), end: CalendarReader.#toDay(start.date), times: null };
+    }
+
+    const lastMoment = new Date(end.date);
+    end.allDay ? lastMoment.setUTCDate(lastMoment.getUTCDate() - 1) : lastMoment.setUTCMilliseconds(-1);
+
+    return {
+      start: CalendarReader.#toDay(start.date),
+      end: CalendarReader.#toDay(lastMoment),
+      times: start.allDay || end.allDay ? null : { start: start.date, end: lastMoment },
+    };
+  }
+
+  /**
+   * Parses "YYYYMMDD" or "YYYYMMDDTHHMMSS" with an optional "Z" into a wall-clock time.
+   * UTC times are converted to TIMEZONE, times with TZID too when TIMEZONE is set;
+   * otherwise they are taken as they are written, like dates of photos with a recorded offset.
+   */
+  static #parseDate(property) {
+    const match = property?.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const date = Utils.wallClock(...[year, month, day, hours || 0, minutes || 0, seconds || 0].map(Number));
+    if (date.getUTCMonth() !== month - 1) return null;
+
+    const { TIMEZONE } = SettingsLoader.current;
+    const zone = property.params.TZID;
+    const allDay = !hours || property.params.VALUE?.toUpperCase() === 'DATE';
 
-      try {
-        await this.#rm(fullPath, { recursive: true });
-        LoggerUtils.yellow(`❌ ${L10n.get(L10n.Keys.DELETED_DIR)}: ${fullPath}`);
-        this.#deletedFilesLength++;
-      } catch (err) {
-        this.#logError(L10n.Keys.ERROR_RM_DIR, fullPath, err);
-      }
+    if (utc) return { date: Utils.toWallClock(date, TIMEZONE), allDay };
+    if (zone && TIMEZONE && Utils.isTimeZone(zone)) {
+      return { date: Utils.toWallClock(Utils.fromWallClock(date, zone), TIMEZONE), allDay };
     }
+
+    return { date, allDay };
   }
 
-  #logResult(filePath, targetDir, supported, unsupportedDate) {
-    const relativeTarget = path.join('...', path.relative(rootPath, targetDir));
-    const fromTo = `${filePath} → ${relativeTarget}`;
+  /**
+   * Adds an ISO 8601 duration such as "P1W", "P3D" or "PT2H30M" to the start.
+   */
+  static #addDuration(start, duration) {
+    const match = duration?.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match) return null;
 
-    if (!supported) {
-      this.#skippedFilesLength++;
-      this.#logWarning(L10n.Keys.UNSUPPORTED_EXT, fromTo);
-    } else if (unsupportedDate) {
-      this.#skippedFilesLength++;
-      this.#logWarning(L10n.Keys.UNSUPPORTED_DATE, fromTo);
-    } else {
-      this.#movedFilesLength++;
-      this.#logSuccess(L10n.Keys.MOVED, fromTo);
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(value => parseInt(value, 10) || 0);
+    const date = new Date(start.date);
+    date.setUTCDate(date.getUTCDate() + weeks * 7 + days);
+    date.setUTCHours(date.getUTCHours() + hours, date.getUTCMinutes() + minutes, date.getUTCSeconds() + seconds);
+
+    return { date, allDay: start.allDay };
+  }
+
+  static #parseRule(value) {
+    return Object.fromEntries(value.split(';').map(part => part.split('=', 2)).map(([key, ruleValue]) => [key.toUpperCase(), ruleValue]));
+  }
+
+  /**
+   * Maps a yearly rule onto the recurring dates of CUSTOM_EVENTS_DATES:
+   * "DD.MM.>YYYY" and "DD.MM.YYYY_YYYY" for single days, "DD.MM.YYYY-DD.MM.x" for open-ended ranges.
+   * Ranges with a last year and rules with an interval cannot be written this way, so their occurrences are listed one by one.
+   * Returns `null` for other rules.
+   */
+  static #toYearlyDates({ start, end }, rule) {
+    const supportedParts = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', 'BYMONTH', 'BYMONTHDAY'];
+    if (rule.FREQ?.toUpperCase() !== 'YEARLY' || Object.keys(rule).some(part => !supportedParts.includes(part))) return null;
+
+    const interval = parseInt(rule.INTERVAL, 10) || 1;
+    const lastYear = CalendarReader.#getLastYear(start, rule, interval);
+    const singleDay = start.getTime() === end.getTime();
+    const format = CalendarReader.#formatDay;
+
+    if (interval === 1 && !Utils.exists(lastYear)) {
+      return singleDay
+        ? `${format(start).slice(0, 6)}>${start.getUTCFullYear()}`
+        : `${format(start)}-${format(end).slice(0, 6)}x`;
+    }
+
+    if (!Utils.exists(lastYear)) return null;
+    if (interval === 1 && singleDay) return `${format(start).slice(0, 6)}${start.getUTCFullYear()}_${lastYear}`;
+
+    const occurrences = [];
+    for (let year = start.getUTCFullYear(); year <= lastYear; year += interval) {
+      const shift = year - start.getUTCFullYear();
+      occurrences.push(CalendarReader.#formatRange(
+        Utils.wallClock(year, start.getUTCMonth() + 1, start.getUTCDate()),
+        Utils.wallClock(end.getUTCFullYear() + shift, end.getUTCMonth() + 1, end.getUTCDate()),
+      ));
     }
+
+    return occurrences;
   }
 
-  #logSuccess(key, filePath) {
-    LoggerUtils.green(`✅ ${L10n.get(key)}: ${filePath}`);
+  /**
+   * Returns the year of the last occurrence by COUNT or UNTIL, or `null` if the rule has no end.
+   */
+  static #getLastYear(start, { COUNT, UNTIL }, interval) {
+    if (COUNT) return start.getUTCFullYear() + (Math.max(parseInt(COUNT, 10) || 1, 1) - 1) * interval;
+    if (!UNTIL) return null;
+
+    const until = CalendarReader.#parseDate({ value: UNTIL, params: {} });
+    if (!until) return null;
+
+    const untilYear = until.date.getUTCFullYear();
+    const lastYear = Utils.wallClock(untilYear, start.getUTCMonth() + 1, start.getUTCDate()) <= until.date ? untilYear : untilYear - 1;
+    return start.getUTCFullYear() + Math.floor(Math.max(lastYear - start.getUTCFullYear(), 0) / interval) * interval;
   }
 
-  #logWarning(key, filePath, icon = `⚠️`) {
-    LoggerUtils.yellow(`${icon} ${L10n.get(key)}: ${filePath}`);
+  static #formatRange(start, end, times = null) {
+    if (times) return `${CalendarReader.#formatMoment(times.start)}-${CalendarReader.#formatMoment(times.end)}`;
+
+    return start.getTime() === end.getTime()
+      ? CalendarReader.#formatDay(start)
+      : `${CalendarReader.#formatDay(start)}-${CalendarReader.#formatDay(end)}`;
   }
 
-  #logError(key, filePath, err) {
-    const message = err?.message ? `:\n${err.message}` : '';
-    LoggerUtils.red(`⛔ ${L10n.get(key)}: ${filePath}${message}`);
+  static #formatMoment(date) {
+    const time = [date.getUTCHours(), date.getUTCMinutes()].map(value => String(value).padStart(2, '0')).join(':');
+    return `${CalendarReader.#formatDay(date)} ${time}`;
+  }
+
+  static #formatDay(date) {
+    return [date.getUTCDate(), date.getUTCMonth() + 1].map(value => String(value).padStart(2, '0')).join('.')
+      + `.${date.getUTCFullYear()}`;
+  }
+
+  static #toDay(date) {
+    return Utils.wallClock(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
   }
 }
 
-class PerformanceWrapper {
-  static async getCallbackPerformance(callback) {
-    const startTime = Date.now();
-    await callback().catch(LoggerUtils.red);
-    const endTime = Date.now();
-    return PerformanceWrapper.#formatPerformance(endTime - startTime);
+/**
+ * Reads dates from file names, checks them and converts them to TIMEZONE.
+ * A date is `{ year, month, day, hour, minute, second, offset, utc }`: zero-padded strings,
+ * the UTC offset in minutes or `null`, and whether the time is in UTC.
+ */
+class DateParser {
+  /**
+   * Returns the first valid date DATE_PATTERNS find in the file name, or `null`.
+   */
+  static parseFileName(fileName) {
+    for (const pattern of SettingsLoader.current.DATE_PATTERNS) {
+      // Every place the pattern matches is tried, so a number before the date does not hide it
+      const globalPattern = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+
+      for (const { groups } of fileName.matchAll(globalPattern)) {
+        if (!groups) continue;
+
+        const dateInfo = DateParser.#toDateInfo(groups);
+        if (DateParser.isValid(dateInfo)) return dateInfo;
+      }
+    }
+
+    return null;
   }
 
-  static #formatPerformance(ms) {
-    const hours = Math.floor(ms / 3600000);
-    ms %= 3600000;
-    const minutes = Math.floor(ms / 60000);
-    ms %= 60000;
-    const seconds = Math.floor(ms / 1000);
-    const milliseconds = Math.floor(ms % 1000);
+  static #toDateInfo({ year, month, day, hour = null, minute = null, second = null, offset, timestamp }) {
+    if (timestamp) {
+      // Ten digits are seconds, more are milliseconds
+      const time = new Date(Number(timestamp) * (timestamp.length > 10 ? 1 : 1000));
+      return { ...Utils.toDateParts(time), offset: 0, utc: true };
+    }
 
-    const pad = (n, len = 2) => String(n).padStart(len, '0');
-    const padMs = (n) => String(n).padStart(3, '0');
+    return { year, month, day, hour, minute, second, offset: Utils.parseOffset(offset), utc: offset?.toUpperCase() === 'Z' };
+  }
 
-    if (hours) {
-      return `${pad(hours)}.${pad(minutes)}.${pad(seconds)}:${padMs(milliseconds)} (h.m.s:ms)`;
-    } else if (minutes) {
-      return `${pad(minutes)}.${pad(seconds)}:${padMs(milliseconds)} (m.s:ms)`;
-    } else if (seconds) {
-      return `${seconds}:${padMs(milliseconds)} (s:ms)`;
-    } else {
-      return `${milliseconds} (ms)`;
+  /**
+   * Checks that the date exists, its time (if any) too, and that the year is between MIN_YEAR and MAX_YEAR.
+   */
+  static isValid({ year, month, day, hour, minute, second }) {
+    const { MIN_YEAR, MAX_YEAR } = SettingsLoader.current;
+    const [yearNumber, monthNumber, dayNumber] = [year, month, day].map(Number);
+    const maxYear = MAX_YEAR ?? new Date().getFullYear() + 1;
+
+    if (!Number.isInteger(yearNumber) || yearNumber < MIN_YEAR || yearNumber > maxYear) return false;
+
+    const date = Utils.wallClock(yearNumber, monthNumber, dayNumber);
+    if (date.getUTCMonth() !== monthNumber - 1 || date.getUTCDate() !== dayNumber) return false;
+
+    return [[hour, 23], [minute, 59], [second, 59]].every(([value, max]) => !Utils.exists(value) || Number(value) <= max);
+  }
+
+  /**
+   * Converts a time stored in UTC, or with its offset when TIMEZONE is set, to the wall-clock time in TIMEZONE.
+   * Dates without a time cannot be converted and are kept.
+   */
+  static toTimeZone(dateInfo) {
+    const { TIMEZONE } = SettingsLoader.current;
+    const { year, month, day, hour, minute, second, offset, utc } = dateInfo;
+
+    if (!Utils.exists(offset) || !Utils.exists(hour) || (!utc && !TIMEZONE)) return dateInfo;
+
+    const [hours, minutes, seconds] = [hour, minute, second].map(value => parseInt(value, 10) || 0);
+    const instant = new Date(Utils.wallClock(year, month, day, hours, minutes, seconds) - offset * 60 * 1000);
+    const wallClock = Utils.toWallClock(instant, TIMEZONE);
+
+    return { ...Utils.toDateParts(wallClock), offset: (wallClock - instant) / (60 * 1000), utc: false };
+  }
+}
+
+class MetadataReader {
+  /**
+   * Reads the capture date embedded in the file.
+   * The format is detected from the file content, not from its extension.
+   * Returns `{ year, month, day, hour, minute, second, offset, utc }` with zero-padded string parts
+   * (the time parts are `null` when only the date is recorded), where `offset`
+   * is the UTC offset in minutes recorded next to the date (or `null` if absent)
+   * and `utc` tells that the time is in UTC rather than local to where the file was taken,
+   * or `null` when the file has no readable date.
+   */
+  static async readDate(filePath) {
+    return MetadataReader.#read(filePath, MetadataReader.#getExifDate, MetadataReader.#getMovieDate);
+  }
+
+  /**
+   * Reads the camera that took the file, e.g. "Apple iPhone 12",
+   * or returns `null` when the file has no make and model recorded.
+   */
+  static async readCamera(filePath) {
+    return MetadataReader.#read(filePath, MetadataReader.#getCamera, MetadataReader.#getCamera);
+  }
+
+  static async #read(filePath, fromExif, fromMovie) {
+    let file;
+
+    try {
+      file = await BinaryFile.open(filePath);
+      const header = await file.read(0, 16);
+
+      if (ExifReader.isJpeg(header)) {
+        return fromExif(await ExifReader.readFromJpeg(file));
+      }
+
+      if (ExifReader.isTiff(header)) {
+        return fromExif(await ExifReader.readFromTiff(file));
+      }
+
+      if (IsoBmffReader.isIsoBmff(header)) {
+        return fromExif(await ExifReader.readFromHeif(file))
+          ?? fromMovie(await IsoBmffReader.readMovieTags(file));
+      }
+
+      return null;
+    } catch {
+      return null;
+    } finally {
+      await file?.close().catch(() => null);
+    }
+  }
+
+  static #getCamera(tags) {
+    const make = tags?.make?.trim();
+    const model = tags?.model?.trim();
+    if (!model) return make || null;
+
+    // Most models already start with the brand, e.g. "Canon" + "Canon EOS R6"
+    const brand = make?.split(/\s+/)[0];
+    return !brand || model.toLowerCase().startsWith(brand.toLowerCase()) ? model : `${make} ${model}`;
+  }
+
+  static #getExifDate(tags) {
+    if (!tags) return null;
+
+    const candidates = [
+      [tags.dateTimeOriginal, tags.offsetTimeOriginal ?? tags.offsetTime],
+      [tags.createDate, tags.offsetTimeDigitized ?? tags.offsetTime],
+    ];
+
+    for (const [dateTime, offsetTime] of candidates) {
+      const date = MetadataReader.#parseExifDateTime(dateTime);
+      if (date) return { ...date, offset: Utils.parseOffset(offsetTime), utc: false };
+    }
+
+    return null;
+  }
+
+  static #getMovieDate(tags) {
+    if (!tags) return null;
+
+    const appleDate = MetadataReader.#parseIsoDateTime(tags.appleCreationDate);
+    if (appleDate) return appleDate;
+
+    // Container creation times are stored in UTC, they are converted to TIMEZONE later
+    for (const time of [tags.movieCreationTime, tags.trackCreationTime]) {
+      if (!time) continue;
+
+      return { ...Utils.toDateParts(time), offset: 0, utc: true };
     }
+
+    return null;
+  }
+
+  static #parseIsoDateTime(value) {
+    const match = value?.match(/^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})(?:T(?<hour>\d{2}):(?<minute>\d{2})(?::(?<second>\d{2}))?[\d.]*)?\s*(?<offset>Z|[+-]\d{2}:?\d{2})?/);
+    if (!match) return null;
+
+    const { year, month, day, hour = null, minute = null, second = hour ? '00' : null, offset } = match.groups;
+    if (+year === 0 || +month < 1 || +month > 12 || +day < 1 || +day > 31) return null;
+
+    return { year, month, day, hour, minute, second, offset: Utils.parseOffset(offset), utc: offset?.toUpperCase() === 'Z' };
+  }
+
+  static #parseExifDateTime(value) {
+    const match = value?.match(/^(?<year>\d{4}):(?<month>\d{2}):(?<day>\d{2})(?: (?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2}))?/);
+    if (!match) return null;
+
+    const { year, month, day, hour = null, minute = null, second = null } = match.groups;
+    if (+year === 0 || +month < 1 || +month > 12 || +day < 1 || +day > 31) return null;
+
+    return { year, month, day, hour, minute, second };
   }
 }
 
-class EventsResolver {
-  static getCustomEventMatch(date) {
-    const year = date.getFullYear();
-    const customEvents = EventsResolver.#getCustomEvents();
+class ExifReader {
+  static Tags = Object.freeze({
+    MAKE: 0x010f,
+    MODEL: 0x0110,
+    EXIF_IFD_POINTER: 0x8769,
+    DATE_TIME_ORIGINAL: 0x9003,
+    CREATE_DATE: 0x9004,
+    OFFSET_TIME: 0x9010,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    OFFSET_TIME_DIGITIZED: 0x9012,
+  });
+
+  static #MAX_IFD_ENTRIES = 1000;
+  static #MAX_JPEG_SEGMENTS = 100;
+  static #MAX_HEIF_META_SIZE = 16 * 1024 * 1024;
 
-    for (const customEvent of customEvents) {
-      let match = false;
-      const crossedYears = [];
-      const { name, start, end, fixedRange, recurring, singleDay, crossesYear } = customEvent;
+  static isJpeg(header) {
+    return header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff;
+  }
 
-      if (fixedRange) {
-        const startDate = Utils.normalizedStart(start.year, start.month, start.day);
-        const endDate = Utils.normalizedEnd(end.year, end.month, end.day);
+  static isTiff(header) {
+    if (header.length < 4) return false;
 
-        if (date >= startDate && date <= endDate) {
-          match = true;
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (byteOrder === 'II') return [0x2a, 0x4f52, 0x5352, 0x55].includes(header.readUInt16LE(2));
+    if (byteOrder === 'MM') return [0x2a, 0x4f52].includes(header.readUInt16BE(2));
 
-          if (crossesYear) {
-            crossedYears.push(start.year);
-            crossedYears.push(end.year);
-          }
+    return false;
+  }
+
+  static async readFromJpeg(file) {
+    let position = 2;
+
+    for (let i = 0; i < ExifReader.#MAX_JPEG_SEGMENTS && position < file.size; i++) {
+      const marker = await file.read(position, 4);
+      if (marker.length < 4 || marker[0] !== 0xff) return null;
+
+      const type = marker[1];
+      const length = marker.readUInt16BE(2);
+
+      // Start of scan or end of image: no more metadata segments
+      if (type === 0xda || type === 0xd9) return null;
+
+      if (type === 0xe1) {
+        const segment = await file.read(position + 4, length - 2);
+        if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+          const tiff = segment.subarray(6);
+          return ExifReader.#parseTiff((offset, size) => tiff.subarray(offset, offset + size));
         }
-      } else if (recurring) {
-        if (singleDay) {
-          const matchesDayMonth = date.getDate() === start.day && date.getMonth() + 1 === start.month;
+      }
 
-          if (!matchesDayMonth) continue;
+      position += 2 + length;
+    }
 
-          match = Utils.inRange(start.year, year, end.year);
-        } else {
-          if (!Utils.inRange(start.year, year, end.year)) continue;
-
-          if (crossesYear) {
-            const clamp = EventsResolver.#clampYear;
-            const prevStart = Utils.normalizedStart(clamp(year - 1, start.year, true), start.month, start.day);
-            const prevEnd = Utils.normalizedEnd(clamp(year, end.year, false), end.month, end.day);
-            const currStart = Utils.normalizedStart(clamp(year, start.year, true), start.month, start.day);
-            const currEnd = Utils.normalizedEnd(clamp(year + 1, end.year, false), end.month, end.day);
-
-            if (date >= prevStart && date <= prevEnd) {
-              match = true;
-              crossedYears.push(prevStart.getFullYear());
-              crossedYears.push(prevEnd.getFullYear());
-            }
-
-            if (date >= currStart && date <= currEnd) {
-              match = true;
-              crossedYears.push(currStart.getFullYear());
-              crossedYears.push(currEnd.getFullYear());
-            }
-          } else {
-            const startDate = Utils.normalizedStart(year, start.month, start.day);
-            const endDate = Utils.normalizedEnd(year, end.month, end.day);
-
-            if (date >= startDate && date <= endDate) {
-              match = true;
-            }
-          }
+    return null;
+  }
+
+  static async readFromTiff(file, baseOffset = 0) {
+    return ExifReader.#parseTiff((offset, size) => file.read(baseOffset + offset, size));
+  }
+
+  static async readFromHeif(file) {
+    const meta = await IsoBmffReader.findBox(file, ['meta']);
+    if (!meta || meta.size > ExifReader.#MAX_HEIF_META_SIZE) return null;
+
+    // "meta" is a full box: skip its version and flags
+    const metaData = await file.read(meta.dataStart + 4, meta.end - meta.dataStart - 4);
+    const readMeta = (offset, size) => metaData.subarray(offset, offset + size);
+
+    const iinf = await IsoBmffReader.findBox(readMeta, ['iinf'], 0, metaData.length);
+    const iloc = await IsoBmffReader.findBox(readMeta, ['iloc'], 0, metaData.length);
+    if (!iinf || !iloc) return null;
+
+    const exifItemId = ExifReader.#findHeifItemId(metaData.subarray(iinf.dataStart, iinf.end), 'Exif');
+    if (exifItemId == null) return null;
+
+    const extents = ExifReader.#findHeifItemExtents(metaData.subarray(iloc.dataStart, iloc.end), exifItemId);
+    if (!extents?.length) return null;
+
+    const chunks = [];
+    for (const { offset, length } of extents) {
+      chunks.push(await file.read(offset, length));
+    }
+
+    // The Exif item starts with the offset to the TIFF header, usually skipping "Exif\0\0"
+    const exifData = Buffer.concat(chunks);
+    if (exifData.length < 4) return null;
+
+    const tiff = exifData.subarray(4 + exifData.readUInt32BE(0));
+    return ExifReader.#parseTiff((offset, size) => tiff.subarray(offset, offset + size));
+  }
+
+  static #findHeifItemId(iinf, itemType) {
+    const version = iinf[0];
+    let position = 4 + (version === 0 ? 2 : 4);
+
+    while (position + 8 <= iinf.length) {
+      const size = iinf.readUInt32BE(position);
+      const type = iinf.toString('latin1', position + 4, position + 8);
+      if (size < 8) return null;
+
+      if (type === 'infe') {
+        const infeVersion = iinf[position + 8];
+        const idSize = infeVersion === 3 ? 4 : 2;
+        const itemIdOffset = position + 12;
+        const itemTypeOffset = itemIdOffset + idSize + 2;
+
+        if (infeVersion >= 2 && itemTypeOffset + 4 <= iinf.length) {
+          const itemId = idSize === 4 ? iinf.readUInt32BE(itemIdOffset) : iinf.readUInt16BE(itemIdOffset);
+          if (iinf.toString('latin1', itemTypeOffset, itemTypeOffset + 4) === itemType) return itemId;
         }
       }
 
-      if (match) {
-        return { name, year, recurring, crossedYears };
+      position += size;
+    }
+
+    return null;
+  }
+
+  static #findHeifItemExtents(iloc, itemId) {
+    const version = iloc[0];
+    const offsetSize = iloc[4] >> 4;
+    const lengthSize = iloc[4] & 0x0f;
+    const baseOffsetSize = iloc[5] >> 4;
+    const indexSize = version === 1 || version === 2 ? iloc[5] & 0x0f : 0;
+
+    let position = 6;
+
+    const readUInt = size => {
+      let value = 0;
+      for (let i = 0; i < size; i++) value = value * 256 + iloc[position + i];
+      position += size;
+      return value;
+    };
+
+    const itemCount = readUInt(version < 2 ? 2 : 4);
+
+    for (let i = 0; i < itemCount && position < iloc.length; i++) {
+      const currentItemId = readUInt(version < 2 ? 2 : 4);
+      const constructionMethod = version === 1 || version === 2 ? readUInt(2) & 0x0f : 0;
+      readUInt(2); // data_reference_index
+      const baseOffset = readUInt(baseOffsetSize);
+      const extentCount = readUInt(2);
+      const extents = [];
+
+      for (let j = 0; j < extentCount; j++) {
+        readUInt(indexSize);
+        const offset = readUInt(offsetSize);
+        const length = readUInt(lengthSize);
+        extents.push({ offset: baseOffset + offset, length });
+      }
+
+      if (currentItemId === itemId) {
+        // Only items stored directly in the file are supported
+        return constructionMethod === 0 ? extents : null;
       }
     }
 
     return null;
   }
 
-  static getCustomEventPath(customEvent) {
-    const { name, year, recurring, crossedYears } = customEvent;
+  static async #parseTiff(read) {
+    const header = await read(0, 8);
+    if (header.length < 8) return null;
 
-    const getYears = () => {
-      if (crossedYears.length) {
-        return `${crossedYears[0]}-${crossedYears[1]}`;
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+    const littleEndian = byteOrder === 'II';
+    const readUInt16 = (buffer, offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const readUInt32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const readIfd = async (ifdOffset) => {
+      const entries = new Map();
+      const countBuffer = await read(ifdOffset, 2);
+      if (countBuffer.length < 2) return entries;
+
+      const count = Math.min(readUInt16(countBuffer, 0), ExifReader.#MAX_IFD_ENTRIES);
+      const entriesBuffer = await read(ifdOffset + 2, count * 12);
+
+      for (let i = 0; i + 12 <= entriesBuffer.length; i += 12) {
+        const tag = readUInt16(entriesBuffer, i);
+        const type = readUInt16(entriesBuffer, i + 2);
+        const valueCount = readUInt32(entriesBuffer, i + 4);
+        const valueField = entriesBuffer.subarray(i + 8, i + 12);
+        entries.set(tag, { type, valueCount, valueField });
       }
-      return year;
+
+      return entries;
     };
 
-    const folderNames = name.split(/[\\/|]/);
-    const updatedFolderNames = folderNames.map((name, idx) => {
-      if (!recurring && idx === folderNames.length - 1) {
-        return `${name} ${getYears()}`;
-      }
+    const readAscii = async (entry) => {
+      if (!entry || entry.type !== 2) return null;
 
-      return name;
-    });
+      const data = entry.valueCount <= 4
+        ? entry.valueField.subarray(0, entry.valueCount)
+        : await read(readUInt32(entry.valueField, 0), entry.valueCount);
 
-    if (recurring) {
-      const lastFolderName = updatedFolderNames[updatedFolderNames.length - 1];
-      updatedFolderNames.push(`${lastFolderName} ${getYears()}`);
+      return data.toString('latin1').replace(/\0[\s\S]*$/, '').trim() || null;
+    };
+
+    const readOffset = (entry) => {
+      if (!entry || ![4, 13].includes(entry.type)) return null;
+      return readUInt32(entry.valueField, 0);
+    };
+
+    const { Tags } = ExifReader;
+    const ifd0 = await readIfd(readUInt32(header, 4));
+    const exifIfdOffset = readOffset(ifd0.get(Tags.EXIF_IFD_POINTER));
+    const exifIfd = exifIfdOffset ? await readIfd(exifIfdOffset) : new Map();
+
+    return {
+      make: await readAscii(ifd0.get(Tags.MAKE)),
+      model: await readAscii(ifd0.get(Tags.MODEL)),
+      dateTimeOriginal: await readAscii(exifIfd.get(Tags.DATE_TIME_ORIGINAL)),
+      createDate: await readAscii(exifIfd.get(Tags.CREATE_DATE)),
+      offsetTime: await readAscii(exifIfd.get(Tags.OFFSET_TIME)),
+      offsetTimeOriginal: await readAscii(exifIfd.get(Tags.OFFSET_TIME_ORIGINAL)),
+      offsetTimeDigitized: await readAscii(exifIfd.get(Tags.OFFSET_TIME_DIGITIZED)),
+    };
+  }
+}
+
+class IsoBmffReader {
+  static #TOP_LEVEL_TYPES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+  static #APPLE_KEYS = Object.freeze({
+    CREATION_DATE: 'com.apple.quicktime.creationdate',
+    MAKE: 'com.apple.quicktime.make',
+    MODEL: 'com.apple.quicktime.model',
+  });
+  static #MAX_MOVIE_META_SIZE = 1024 * 1024;
+
+  // Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch (1970-01-01)
+  static #QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+  static isIsoBmff(header) {
+    return header.length >= 8 && IsoBmffReader.#TOP_LEVEL_TYPES.includes(header.toString('latin1', 4, 8));
+  }
+
+  /**
+   * Reads creation dates of an MP4/MOV/3GP movie.
+   * Only the small header boxes inside "moov" are read, the media data is skipped.
+   * Returns `{ appleCreationDate, movieCreationTime, trackCreationTime, make, model }`
+   * or `null` if the file has no "moov" box.
+   */
+  static async readMovieTags(file) {
+    const moov = await IsoBmffReader.findBox(file, ['moov']);
+    if (!moov) return null;
+
+    const tags = { appleCreationDate: null, movieCreationTime: null, trackCreationTime: null, make: null, model: null };
+
+    for await (const box of IsoBmffReader.readBoxes(file, moov.dataStart, moov.end)) {
+      if (box.type === 'mvhd') {
+        tags.movieCreationTime = IsoBmffReader.#parseCreationTime(await file.read(box.dataStart, 16));
+      } else if (box.type === 'trak' && !tags.trackCreationTime) {
+        const tkhd = await IsoBmffReader.findBox(file, ['tkhd'], box.dataStart, box.end);
+        if (tkhd) tags.trackCreationTime = IsoBmffReader.#parseCreationTime(await file.read(tkhd.dataStart, 16));
+      } else if (box.type === 'meta' && box.size <= IsoBmffReader.#MAX_MOVIE_META_SIZE) {
+        const meta = await file.read(box.dataStart, box.end - box.dataStart);
+        const { CREATION_DATE, MAKE, MODEL } = IsoBmffReader.#APPLE_KEYS;
+        tags.appleCreationDate = await IsoBmffReader.#readAppleMetadata(meta, CREATION_DATE) || tags.appleCreationDate;
+        tags.make = await IsoBmffReader.#readAppleMetadata(meta, MAKE) || tags.make;
+        tags.model = await IsoBmffReader.#readAppleMetadata(meta, MODEL) || tags.model;
+      }
     }
 
-    return updatedFolderNames;
-  };
+    return tags;
+  }
 
-  static #getCustomEvents() {
-    const recRegex = /[><_]/;
+  /**
+   * Parses the creation time of a "mvhd" or "tkhd" full box.
+   * Version 1 stores 64-bit times, version 0 stores 32-bit ones.
+   */
+  static #parseCreationTime(data) {
+    if (data.length < 8) return null;
 
-    const isEmptyDate = date => Object.values(date).every(value => !Utils.exists(value));
+    const version = data[0];
+    const seconds = version === 1
+      ? (data.length >= 12 ? Number(data.readBigUInt64BE(4)) : 0)
+      : data.readUInt32BE(4);
 
-    const isFullDate = date => Object.values(date).every(Utils.exists);
+    if (!seconds) return null;
 
-    const lacksYear = date => Utils.exists(date.day) && Utils.exists(date.month) && !Utils.exists(date.year);
+    const time = new Date((seconds - IsoBmffReader.#QUICKTIME_EPOCH_OFFSET) * 1000);
+    return isNaN(time) ? null : time;
+  }
 
-    const isSingleDay = (start, end) =>
-      Utils.exists(start.day) &&
-      Utils.exists(start.month) &&
-      Utils.exists(end.day) &&
-      Utils.exists(end.month) &&
-      start.day === end.day &&
-      start.month === end.month &&
-      (
-        start.year === end.year ||
-        Utils.exists(start.year) && !Utils.exists(end.year) ||
-        !Utils.exists(start.year) && Utils.exists(end.year)
-      );
+  /**
+   * Reads a value from QuickTime "mdta" metadata: "keys" holds the key names,
+   * "ilst" holds the values in boxes whose type is the 1-based key index.
+   */
+  static async #readAppleMetadata(meta, key) {
+    const read = (offset, length) => meta.subarray(offset, offset + length);
 
-    const events = EventsResolver.#getPreparedEvents().map(([name, rawDates]) => {
-      const { startRaw, endRaw } = EventsResolver.#prepareDates(rawDates);
+    // In QuickTime files "meta" is a plain box, in MP4 files it is a full box
+    const start = meta.toString('latin1', 4, 8) === 'hdlr' ? 0 : 4;
 
-      const start = EventsResolver.#parseDate(startRaw);
-      const end = EventsResolver.#parseDate(endRaw);
+    const keys = await IsoBmffReader.findBox(read, ['keys'], start, meta.length);
+    const ilst = await IsoBmffReader.findBox(read, ['ilst'], start, meta.length);
+    if (!keys || !ilst) return null;
 
-      if (isEmptyDate(start) && isEmptyDate(end)) return;
+    const keyIndex = IsoBmffReader.#findAppleKeyIndex(meta.subarray(keys.dataStart, keys.end), key);
+    if (keyIndex == null) return null;
 
-      const singleDay = isSingleDay(start, end) || recRegex.test(rawDates);
-      const recurring = recRegex.test(rawDates) || lacksYear(start) || lacksYear(end);
-      const fixedRange = !recurring && isFullDate(start) && isFullDate(end);
-      const crossesYear = !singleDay && (
-        Utils.exists(start.year) && Utils.exists(end.year) && start.year < end.year ||
-        Utils.exists(start.month) && Utils.exists(end.month) && start.month > end.month ||
-        Utils.exists(start.month) && Utils.exists(end.month) && Utils.exists(start.day) && Utils.exists(end.day) &&
-        start.month === end.month && start.day > end.day
-      );
+    for await (const item of IsoBmffReader.readBoxes(read, ilst.dataStart, ilst.end)) {
+      if (meta.readUInt32BE(item.start + 4) !== keyIndex) continue;
+
+      const data = await IsoBmffReader.findBox(read, ['data'], item.dataStart, item.end);
+      if (!data) return null;
+
+      // "data" starts with a 4-byte type indicator and a 4-byte locale
+      return meta.toString('utf-8', data.dataStart + 8, data.end).trim() || null;
+    }
 
-      return { name, start, end, fixedRange, singleDay, recurring, crossesYear };
-    }).filter(Boolean);
+    return null;
+  }
 
-    return EventsResolver.#sortEvents(events);
+  static #findAppleKeyIndex(keys, key) {
+    if (keys.length < 8) return null;
+
+    const entryCount = keys.readUInt32BE(4);
+    let position = 8;
+
+    for (let index = 1; index <= entryCount && position + 8 <= keys.length; index++) {
+      const size = keys.readUInt32BE(position);
+      if (size < 8) return null;
+
+      if (keys.toString('utf-8', position + 8, position + size) === key) return index;
+      position += size;
+    }
+
+    return null;
   }
 
-  static #clampYear(baseYear, limitYear, preferHigher) {
-    if (!Utils.exists(limitYear)) return baseYear;
-    return preferHigher ? Math.max(baseYear, limitYear) : Math.min(baseYear, limitYear);
-  };
+  /**
+   * Iterates over the boxes stored between `start` and `end`.
+   * `source` is either a BinaryFile or a `(offset, length) => Buffer` function,
+   * so nested boxes can be walked without reading their parents into memory.
+   */
+  static async* readBoxes(source, start = 0, end = source.size) {
+    const read = IsoBmffReader.#getReader(source);
+    let position = start;
+
+    while (position + 8 <= end) {
+      const header = await read(position, 16);
+      if (header.length < 8) return;
+
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+
+      if (size === 1) {
+        if (header.length < 16) return;
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - position;
+      }
 
-  static #prepareDates(rawDates) {
-    const dateDivider = '.';
-    const rangeDivider = '-';
-    const emptyYearSymbol = 'x';
-    const recStartSymbol = '>';
-    const recEndSymbol = '<';
-    const recDivider = '_';
+      if (size < headerSize || position + size > end) return;
 
-    let startRaw, endRaw;
+      yield { type, start: position, dataStart: position + headerSize, end: position + size, size };
+      position += size;
+    }
+  }
 
-    if (rawDates.includes(recDivider)) {
-      const [day, month, yearPart] = rawDates.split(dateDivider, 3) || [];
-      const [startYear, endYear] = yearPart.match(/\d{4}/g);
-      startRaw = [day, month, startYear].join('.');
-      endRaw = [day, month, endYear].join('.');
-    } else if (rawDates.includes(recStartSymbol)) {
-      startRaw = rawDates.replace(recStartSymbol, '');
-      endRaw = rawDates.split(recStartSymbol, 2)[0] + emptyYearSymbol;
-    } else if (rawDates.includes(recEndSymbol)) {
-      endRaw = rawDates.replace(recEndSymbol, '');
-      startRaw = rawDates.split(recEndSymbol, 2)[0] + emptyYearSymbol;
-    } else if (rawDates.includes(rangeDivider)) {
-      [startRaw, endRaw] = rawDates.split(rangeDivider, 2);
-    } else {
-      startRaw = endRaw = rawDates;
+  /**
+   * Finds a box by its path of types, e.g. `['moov', 'trak', 'tkhd']`.
+   */
+  static async findBox(source, typePath, start = 0, end = source.size) {
+    const [type, ...rest] = typePath;
+
+    for await (const box of IsoBmffReader.readBoxes(source, start, end)) {
+      if (box.type !== type) continue;
+      if (!rest.length) return box;
+      return IsoBmffReader.findBox(source, rest, box.dataStart, box.end);
     }
 
-    return { startRaw, endRaw };
-  };
+    return null;
+  }
 
-  static #parseDate(rawDate) {
-    const dateDivider = '.';
-    const [day, month, year] = rawDate?.split(dateDivider, 3) || [];
+  static #getReader(source) {
+    return typeof source === 'function' ? source : (offset, length) => source.read(offset, length);
+  }
+}
 
-    return {
-      day: parseInt(day) || null,
-      month: parseInt(month) || null,
-      year: parseInt(year) || null,
-    };
-  };
+class BinaryFile {
+  static #open = util.promisify(fs.open);
+  static #fstat = util.promisify(fs.fstat);
 
-  static #getPreparedEvents() {
-    const events = [];
+  #read = util.promisify(fs.read);
+  #close = util.promisify(fs.close);
+  #fd;
 
-    const clearStr = (str) => str?.replace(/\s+/g, ' ').trim();
+  constructor(fd, size) {
+    this.#fd = fd;
+    this.size = size;
+  }
 
-    const customEvents = Object.entries(TimelineMediaSorterSettings.CUSTOM_EVENTS_DATES);
-    customEvents.forEach(([name, dates]) => {
-      if (!dates?.length) return;
+  static async open(filePath) {
+    const fd = await BinaryFile.#open(filePath, 'r');
 
-      const eventName = clearStr(name);
-      if (Array.isArray(dates)) {
-        dates.forEach(date => events.push([eventName, clearStr(date)]));
-      } else if (typeof dates === 'string') {
-        events.push([eventName, clearStr(dates)]);
-      }
-    });
+    try {
+      const { size } = await BinaryFile.#fstat(fd);
+      return new BinaryFile(fd, size);
+    } catch (err) {
+      fs.closeSync(fd);
+      throw err;
+    }
+  }
 
-    return events;
-  };
+  /**
+   * Reads up to `length` bytes at `position`; the result is shorter near the end of the file.
+   */
+  async read(position, length) {
+    const size = Math.max(0, Math.min(length, this.size - position));
+    const buffer = Buffer.alloc(size);
+    if (!size) return buffer;
 
-  static #sortEvents(events) {
-    return events.sort((a, b) => EventsResolver.#categorizeEvent(a) - EventsResolver.#categorizeEvent(b));
+    const { bytesRead } = await this.#read(this.#fd, buffer, 0, size, position);
+    return buffer.subarray(0, bytesRead);
   }
 
-  static #categorizeEvent(event) {
-    const { start, end, fixedRange, singleDay, recurring } = event;
+  async close() {
+    await this.#close(this.#fd);
+  }
 
-    const hasStartYear = Utils.exists(start.year);
-    const hasEndYear = Utils.exists(end.year);
+  /**
+   * Computes the hash of the file content, streaming it instead of reading it fully into memory.
+   */
+  static hash(filePath, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
 
-    if (!recurring) {
-      if (fixedRange && singleDay) return 1;
-      if (fixedRange && !singleDay) return 2;
-    }
+  /**
+   * Compares two files chunk by chunk without reading them fully into memory.
+   */
+  static async contentEquals(filePathA, filePathB, chunkSize = 1024 * 1024) {
+    const fileA = await BinaryFile.open(filePathA);
 
-    if (recurring) {
-      if (singleDay && hasStartYear && hasEndYear) return 3;
-      if (singleDay && !hasStartYear && hasEndYear) return 4;
-      if (singleDay && hasStartYear && !hasEndYear) return 5;
+    try {
+      const fileB = await BinaryFile.open(filePathB);
 
-      if (!singleDay && hasStartYear && hasEndYear) return 6;
-      if (!singleDay && !hasStartYear && hasEndYear) return 7;
-      if (!singleDay && hasStartYear && !hasEndYear) return 8;
+      try {
+        if (fileA.size !== fileB.size) return false;
 
-      if (singleDay && !hasStartYear && !hasEndYear) return 9;
-      if (!singleDay && !hasStartYear && !hasEndYear) return 10;
-    }
+        for (let position = 0; position < fileA.size; position += chunkSize) {
+          const [chunkA, chunkB] = await Promise.all([fileA.read(position, chunkSize), fileB.read(position, chunkSize)]);
+          if (!chunkA.equals(chunkB)) return false;
+        }
 
-    return 999;
-  };
+        return true;
+      } finally {
+        await fileB.close();
+      }
+    } finally {
+      await fileA.close();
+    }
+  }
 }
 
 class Utils {
@@ -689,15 +4684,119 @@ class Utils {
   }
 
   static normalizedStart(year, month, day) {
-    const date = new Date(year, month - 1, day);
-    date.setHours(0, 0, 0, 0);
-    return date;
+    return Utils.wallClock(year, month, day);
   }
 
   static normalizedEnd(year, month, day) {
-    const date = new Date(year, month - 1, day);
-    date.setHours(23, 59, 59, 999);
-    return date;
+    return Utils.wallClock(year, month, day, 23, 59, 59, 999);
+  }
+
+  /**
+   * Calendar dates and times are kept as wall-clock times in the UTC fields of a Date,
+   * so comparing them gives the same result whatever the time zone of the computer is.
+   */
+  static wallClock(year, month, day, hours = 0, minutes = 0, seconds = 0, ms = 0) {
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms));
+  }
+
+  /**
+   * Returns the wall-clock time of the moment in the time zone, or in the time zone of the computer when it is empty.
+   */
+  static toWallClock(instant, timeZone) {
+    const parts = Object.fromEntries(Utils.#getFormatter(timeZone).formatToParts(instant).map(({ type, value }) => [type, +value]));
+    return Utils.wallClock(parts.year, parts.month, parts.day, parts.hour % 24, parts.minute, parts.second, instant.getUTCMilliseconds());
+  }
+
+  /**
+   * Returns the moment a wall-clock time in the time zone stands for.
+   */
+  static fromWallClock(wallClock, timeZone) {
+    const getOffset = instant => Utils.toWallClock(instant, timeZone) - instant;
+    // The offset at the guessed moment may differ near a daylight saving change, so it is taken once more
+    const guess = new Date(wallClock - getOffset(wallClock));
+    return new Date(wallClock - getOffset(guess));
+  }
+
+  /**
+   * Splits a wall-clock time into zero-padded `{ year, month, day, hour, minute, second }`.
+   */
+  static toDateParts(wallClock) {
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      year: String(wallClock.getUTCFullYear()),
+      month: pad(wallClock.getUTCMonth() + 1),
+      day: pad(wallClock.getUTCDate()),
+      hour: pad(wallClock.getUTCHours()),
+      minute: pad(wallClock.getUTCMinutes()),
+      second: pad(wallClock.getUTCSeconds()),
+    };
+  }
+
+  /**
+   * Parses a UTC offset like "+02:00", "-0530", "+09" or "Z" into minutes, or returns `null`.
+   */
+  static parseOffset(value) {
+    if (value?.trim().toUpperCase() === 'Z') return 0;
+
+    const match = value?.trim().match(/^(?<sign>[+-])(?<hours>\d{2}):?(?<minutes>\d{2})?$/);
+    if (!match) return null;
+
+    const { sign, hours, minutes = '0' } = match.groups;
+    return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10));
+  }
+
+  /**
+   * Calls the async callback for every item, at most `limit` at a time, and resolves with the results
+   * in the order of the items. What the callbacks log is printed in that order too: the output of an item
+   * as soon as it and all the items before it are done.
+   */
+  static async mapConcurrent(items, limit, callback) {
+    const results = new Array(items.length);
+    const flushes = new Array(items.length);
+    let nextItem = 0;
+    let nextFlush = 0;
+
+    const worker = async () => {
+      while (nextItem < items.length) {
+        const idx = nextItem++;
+        ({ result: results[idx], flush: flushes[idx] } = await LoggerUtils.buffered(() => callback(items[idx], idx)));
+
+        for (; nextFlush < items.length && flushes[nextFlush]; nextFlush++) {
+          flushes[nextFlush]();
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  static isTimeZone(value) {
+    try {
+      Utils.#getFormatter(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  static #formatters = new Map();
+
+  static #getFormatter(timeZone) {
+    if (!Utils.#formatters.has(timeZone)) {
+      Utils.#formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      }));
+    }
+
+    return Utils.#formatters.get(timeZone);
   }
 }
 
@@ -710,10 +4809,28 @@ class L10n {
     AUTUMN: 'autumn',
     UNKNOWN: 'unknown',
 
+    // Months
+    JANUARY: 'january',
+    FEBRUARY: 'february',
+    MARCH: 'march',
+    APRIL: 'april',
+    MAY: 'may',
+    JUNE: 'june',
+    JULY: 'july',
+    AUGUST: 'august',
+    SEPTEMBER: 'september',
+    OCTOBER: 'october',
+    NOVEMBER: 'november',
+    DECEMBER: 'december',
+
     // Folder names
+    PHOTO_DIR_NAME: 'photoDir',
     VIDEO_DIR_NAME: 'videoDir',
+    UNKNOWN_CAMERA_DIR_NAME: 'unknownCameraDir',
     UNKNOWN_DATES_DIR_NAME: 'unknownDatesDir',
     UNKNOWN_FILES_DIR_NAME: 'unknownFilesDir',
+    DUPLICATES_DIR_NAME: 'duplicatesDir',
+    REPLACED_DIR_NAME: 'replacedDir',
 
     // Console messages
     MOVED: 'moved',
@@ -721,6 +4838,11 @@ class L10n {
     DELETED: 'deleted',
     IN_PLACE: 'inPlace',
     SCANNED_DIR: 'dir',
+    TARGET_DIR: 'targetDir',
+    COPIED: 'copied',
+    LINKED: 'linked',
+    ALREADY_IN_LIBRARY: 'alreadyInLibrary',
+    ERROR_COPY_VERIFICATION: 'errorCopyVerification',
     DELETED_DIR: 'deletedDir',
     UNSUPPORTED_EXT: 'unsupportedExt',
     UNSUPPORTED_DATE: 'unsupportedDate',
@@ -729,6 +4851,144 @@ class L10n {
     ERROR_MK_DIR: 'errorMkFolder',
     ERROR_RM_DIR: 'errorRmFolder',
     OPERATION_TIME: 'operationTime',
+
+    // Date sources
+    DATE_SOURCES: 'dateSources',
+    DATE_SOURCE_FILENAME: 'dateSourceFilename',
+    DATE_SOURCE_METADATA: 'dateSourceMetadata',
+    DATE_SOURCE_FILESYSTEM: 'dateSourceFilesystem',
+    DATE_SOURCE_NONE: 'dateSourceNone',
+
+    // Progress
+    PROGRESS_SCAN: 'progressScan',
+    PROGRESS_PLAN: 'progressPlan',
+    PROGRESS_MOVE: 'progressMove',
+    PROGRESS_CLEANUP: 'progressCleanup',
+    PROGRESS_SECOND: 'progressSecond',
+    PROGRESS_ETA: 'progressEta',
+
+    // Dry run and plans
+    DRY_RUN_NOTICE: 'dryRunNotice',
+    PLAN_SAVED: 'planSaved',
+    APPLYING_PLAN: 'applyingPlan',
+    INVALID_PLAN: 'invalidPlan',
+    DIR_NOT_EMPTY: 'dirNotEmpty',
+    ERROR_WRITING_PLAN: 'errorWritingPlan',
+    ERROR_READING_PLAN: 'errorReadingPlan',
+    PLAN_STATUS: 'planStatus',
+    PLAN_SOURCE: 'planSource',
+    PLAN_TARGET: 'planTarget',
+    PLAN_STATUS_MOVED: 'planStatusMoved',
+    PLAN_STATUS_COPIED: 'planStatusCopied',
+    PLAN_STATUS_LINKED: 'planStatusLinked',
+    PLAN_STATUS_IN_PLACE: 'planStatusInPlace',
+    PLAN_STATUS_UNSUPPORTED_EXT: 'planStatusUnsupportedExt',
+    PLAN_STATUS_UNKNOWN_DATE: 'planStatusUnknownDate',
+    PLAN_CREATED_DIRS: 'planCreatedDirs',
+    PLAN_DELETED_DIRS: 'planDeletedDirs',
+
+    // Journal and undo
+    UNDOING_RUN: 'undoingRun',
+    NOTHING_TO_UNDO: 'nothingToUndo',
+    RESTORED: 'restored',
+    REMOVED_COPY: 'removedCopy',
+    RECREATED_DIR: 'recreatedDir',
+    FILE_MISSING_SINCE: 'fileMissingSince',
+    FILE_CHANGED_SINCE: 'fileChangedSince',
+    SOURCE_OCCUPIED: 'sourceOccupied',
+    ERROR_WRITING_JOURNAL: 'errorWritingJournal',
+    ERROR_READING_JOURNAL: 'errorReadingJournal',
+    ERROR_RESTORING: 'errorRestoring',
+
+    // Name collisions
+    COLLISIONS: 'collisions',
+    COLLISIONS_RENAMED: 'collisionsRenamed',
+    COLLISIONS_SKIPPED: 'collisionsSkipped',
+    COLLISIONS_REPLACED: 'collisionsReplaced',
+    COLLISIONS_DUPLICATES_REMOVED: 'collisionsDuplicatesRemoved',
+    COLLISION_RENAMED: 'collisionRenamed',
+    COLLISION_SKIPPED: 'collisionSkipped',
+    COLLISION_REPLACED: 'collisionReplaced',
+    COLLISION_KEPT_NEWER: 'collisionKeptNewer',
+    COLLISION_DUPLICATE_REMOVED: 'collisionDuplicateRemoved',
+    PLAN_COLLISIONS: 'planCollisions',
+
+    // Duplicates
+    DUPLICATES: 'duplicates',
+    DUPLICATE_GROUPS: 'duplicateGroups',
+    DUPLICATE_GROUPS_FOUND: 'duplicateGroupsFound',
+    MOVED_DUPLICATE: 'movedDuplicate',
+    PLAN_STATUS_DUPLICATE: 'planStatusDuplicate',
+    ERROR_READING_FILE: 'errorReadingFile',
+    ERROR_WRITING_REPORT: 'errorWritingReport',
+    REPORT_SAVED: 'reportSaved',
+
+    // HTML report
+    HTML_REPORT_TITLE: 'htmlReportTitle',
+    HTML_REPORT_CREATED: 'htmlReportCreated',
+    HTML_REPORT_SUMMARY: 'htmlReportSummary',
+    HTML_REPORT_TIMELINE: 'htmlReportTimeline',
+    HTML_REPORT_EVENTS: 'htmlReportEvents',
+    HTML_REPORT_ERRORS: 'htmlReportErrors',
+    HTML_REPORT_SEASON: 'htmlReportSeason',
+    HTML_REPORT_EVENT: 'htmlReportEvent',
+    HTML_REPORT_DATES: 'htmlReportDates',
+    HTML_REPORT_FILES: 'htmlReportFiles',
+    HTML_REPORT_ERROR: 'htmlReportError',
+    HTML_REPORT_NONE: 'htmlReportNone',
+
+    // Watch mode
+    WATCHING: 'watching',
+    WATCH_SUMMARY: 'watchSummary',
+    WATCH_STOPPED: 'watchStopped',
+    ERROR_WATCHING: 'errorWatching',
+    ERROR_SORTING_WATCHED: 'errorSortingWatched',
+
+    // Custom events check
+    INVALID_EVENT: 'invalidEvent',
+    SKIPPED_EVENT: 'skippedEvent',
+    SKIPPED_CALENDAR_EVENT: 'skippedCalendarEvent',
+    EVENTS_CHECKED: 'eventsChecked',
+    INVALID_EVENTS: 'invalidEvents',
+    OVERLAPPING_EVENTS: 'overlappingEvents',
+    OVERLAPPING_EVENT: 'overlappingEvent',
+    SORTING_ABORTED: 'sortingAborted',
+    EVENT_EMPTY_FOLDER: 'eventEmptyFolder',
+    EVENT_NO_DATES: 'eventNoDates',
+    EVENT_UNPARSEABLE: 'eventUnparseable',
+    EVENT_INVALID_DAY: 'eventInvalidDay',
+    EVENT_INVALID_MONTH: 'eventInvalidMonth',
+    EVENT_END_BEFORE_START: 'eventEndBeforeStart',
+    EVENT_INVALID_TIME: 'eventInvalidTime',
+    EVENT_UNSUPPORTED_RULE: 'eventUnsupportedRule',
+    ERROR_READING_CALENDAR: 'errorReadingCalendar',
+
+    // Settings and command line
+    CLI_HELP: 'cliHelp',
+    SEE_HELP: 'seeHelp',
+    CONFIG_LOADED: 'configLoaded',
+    INVALID_ARGUMENTS: 'invalidArguments',
+    INVALID_SETTINGS: 'invalidSettings',
+    CONFLICTING_OPTIONS: 'conflictingOptions',
+    ERROR_READING_CONFIG: 'errorReadingConfig',
+    EXPECTED_CONFIG_OBJECT: 'expectedConfigObject',
+    UNKNOWN_SETTING: 'unknownSetting',
+    EXPECTED_BOOLEAN: 'expectedBoolean',
+    EXPECTED_STRING: 'expectedString',
+    EXPECTED_ONE_OF: 'expectedOneOf',
+    EXPECTED_STRING_LIST: 'expectedStringList',
+    EXPECTED_LIST_OF: 'expectedListOf',
+    EXPECTED_EVENTS: 'expectedEvents',
+    EXPECTED_PATTERNS: 'expectedPatterns',
+    EXPECTED_TIME_ZONE: 'expectedTimeZone',
+    EXPECTED_YEAR: 'expectedYear',
+    EXPECTED_YEAR_OR_NULL: 'expectedYearOrNull',
+    EXPECTED_POSITIVE_INTEGER: 'expectedPositiveInteger',
+    UNKNOWN_TOKENS: 'unknownTokens',
+    EXPECTED_SEASON_STARTS: 'expectedSeasonStarts',
+    EXPECTED_SEASON_START: 'expectedSeasonStart',
+    SEASON_STARTS_OVERLAP: 'seasonStartsOverlap',
+    GOT: 'got',
   });
 
   static Translations = Object.freeze({
@@ -739,10 +4999,28 @@ class L10n {
     [L10n.Keys.AUTUMN]: { ru: 'Осень', en: 'Autumn' },
     [L10n.Keys.UNKNOWN]: { ru: 'Неопределен', en: 'Unknown' },
 
+    // Months
+    [L10n.Keys.JANUARY]: { ru: 'Январь', en: 'January' },
+    [L10n.Keys.FEBRUARY]: { ru: 'Февраль', en: 'February' },
+    [L10n.Keys.MARCH]: { ru: 'Март', en: 'March' },
+    [L10n.Keys.APRIL]: { ru: 'Апрель', en: 'April' },
+    [L10n.Keys.MAY]: { ru: 'Май', en: 'May' },
+    [L10n.Keys.JUNE]: { ru: 'Июнь', en: 'June' },
+    [L10n.Keys.JULY]: { ru: 'Июль', en: 'July' },
+    [L10n.Keys.AUGUST]: { ru: 'Август', en: 'August' },
+    [L10n.Keys.SEPTEMBER]: { ru: 'Сентябрь', en: 'September' },
+    [L10n.Keys.OCTOBER]: { ru: 'Октябрь', en: 'October' },
+    [L10n.Keys.NOVEMBER]: { ru: 'Ноябрь', en: 'November' },
+    [L10n.Keys.DECEMBER]: { ru: 'Декабрь', en: 'December' },
+
     // Folder names
+    [L10n.Keys.PHOTO_DIR_NAME]: { ru: 'Фото', en: 'Photos' },
     [L10n.Keys.VIDEO_DIR_NAME]: { ru: 'Видео', en: 'Videos' },
+    [L10n.Keys.UNKNOWN_CAMERA_DIR_NAME]: { ru: 'Неизвестная камера', en: 'Unknown Camera' },
     [L10n.Keys.UNKNOWN_DATES_DIR_NAME]: { ru: '#Неизвестные Даты', en: '#Unknown Dates' },
     [L10n.Keys.UNKNOWN_FILES_DIR_NAME]: { ru: '#Неизвестные Файлы', en: '#Unknown Files' },
+    [L10n.Keys.DUPLICATES_DIR_NAME]: { ru: '#Дубликаты', en: '#Duplicates' },
+    [L10n.Keys.REPLACED_DIR_NAME]: { ru: '#Замененные Файлы', en: '#Replaced Files' },
 
     // Console messages
     [L10n.Keys.MOVED]: { ru: 'Перемещено', en: 'Moved' },
@@ -750,6 +5028,11 @@ class L10n {
     [L10n.Keys.DELETED]: { ru: 'Удалено', en: 'Deleted' },
     [L10n.Keys.IN_PLACE]: { ru: 'Файл уже перемещен', en: 'File already in correct folder' },
     [L10n.Keys.SCANNED_DIR]: { ru: 'Сканируемая папка', en: 'Scanned Directory' },
+    [L10n.Keys.TARGET_DIR]: { ru: 'Папка библиотеки', en: 'Library Directory' },
+    [L10n.Keys.COPIED]: { ru: 'Скопировано', en: 'Copied' },
+    [L10n.Keys.LINKED]: { ru: 'Связано', en: 'Linked' },
+    [L10n.Keys.ALREADY_IN_LIBRARY]: { ru: 'Такой же файл уже есть в библиотеке', en: 'Identical file already in the library' },
+    [L10n.Keys.ERROR_COPY_VERIFICATION]: { ru: 'Копия не совпадает с исходным файлом', en: 'Copy does not match the source file' },
     [L10n.Keys.DELETED_DIR]: { ru: 'Удалена пустая папка', en: 'Deleted empty folder' },
     [L10n.Keys.UNSUPPORTED_EXT]: { ru: 'Пропущен файл с неподдерживаемым расширением', en: 'Skipped file with unsupported extension' },
     [L10n.Keys.UNSUPPORTED_DATE]: { ru: 'Пропущен файл с неизвестной датой', en: 'Skipped file with unknown date' },
@@ -758,17 +5041,357 @@ class L10n {
     [L10n.Keys.ERROR_MK_DIR]: { ru: 'Ошибка при создании папки', en: 'Failed to create the folder' },
     [L10n.Keys.ERROR_RM_DIR]: { ru: 'Ошибка при удалении папки', en: 'Failed to remove the folder' },
     [L10n.Keys.OPERATION_TIME]: { ru: 'Время выполнения', en: 'Execution time' },
+
+    // Date sources
+    [L10n.Keys.DATE_SOURCES]: { ru: 'Источники дат', en: 'Date sources' },
+    [L10n.Keys.DATE_SOURCE_FILENAME]: { ru: 'имя файла', en: 'file name' },
+    [L10n.Keys.DATE_SOURCE_METADATA]: { ru: 'метаданные', en: 'metadata' },
+    [L10n.Keys.DATE_SOURCE_FILESYSTEM]: { ru: 'файловая система (приблизительно)', en: 'file system (approximate)' },
+    [L10n.Keys.DATE_SOURCE_NONE]: { ru: 'без даты', en: 'no date' },
+
+    // Progress
+    [L10n.Keys.PROGRESS_SCAN]: { ru: 'Сканирование', en: 'Scanning' },
+    [L10n.Keys.PROGRESS_PLAN]: { ru: 'Определение дат', en: 'Planning' },
+    [L10n.Keys.PROGRESS_MOVE]: { ru: 'Перемещение', en: 'Moving' },
+    [L10n.Keys.PROGRESS_CLEANUP]: { ru: 'Удаление пустых папок', en: 'Cleaning up' },
+    [L10n.Keys.PROGRESS_SECOND]: { ru: 'с', en: 's' },
+    [L10n.Keys.PROGRESS_ETA]: { ru: 'осталось', en: 'ETA' },
+
+    // Dry run and plans
+    [L10n.Keys.DRY_RUN_NOTICE]: { ru: 'Пробный запуск: файлы не изменены', en: 'Dry run: no files were changed' },
+    [L10n.Keys.PLAN_SAVED]: { ru: 'План сохранен', en: 'Plan saved' },
+    [L10n.Keys.APPLYING_PLAN]: { ru: 'Применение плана', en: 'Applying plan' },
+    [L10n.Keys.INVALID_PLAN]: { ru: 'Неверный формат плана', en: 'Invalid plan format' },
+    [L10n.Keys.DIR_NOT_EMPTY]: { ru: 'Папка не пуста и не была удалена', en: 'Folder is not empty and was kept' },
+    [L10n.Keys.ERROR_WRITING_PLAN]: { ru: 'Ошибка при сохранении плана', en: 'Failed to save the plan' },
+    [L10n.Keys.ERROR_READING_PLAN]: { ru: 'Ошибка при чтении плана', en: 'Failed to read the plan' },
+    [L10n.Keys.PLAN_STATUS]: { ru: 'Действие', en: 'Action' },
+    [L10n.Keys.PLAN_SOURCE]: { ru: 'Откуда', en: 'Source' },
+    [L10n.Keys.PLAN_TARGET]: { ru: 'Куда', en: 'Target' },
+    [L10n.Keys.PLAN_STATUS_MOVED]: { ru: 'Переместить', en: 'Move' },
+    [L10n.Keys.PLAN_STATUS_COPIED]: { ru: 'Скопировать', en: 'Copy' },
+    [L10n.Keys.PLAN_STATUS_LINKED]: { ru: 'Связать', en: 'Link' },
+    [L10n.Keys.PLAN_STATUS_IN_PLACE]: { ru: 'На месте', en: 'In place' },
+    [L10n.Keys.PLAN_STATUS_UNSUPPORTED_EXT]: { ru: 'Неизвестный файл', en: 'Unknown file' },
+    [L10n.Keys.PLAN_STATUS_UNKNOWN_DATE]: { ru: 'Неизвестная дата', en: 'Unknown date' },
+    [L10n.Keys.PLAN_CREATED_DIRS]: { ru: 'Будут созданы папки', en: 'Folders to create' },
+    [L10n.Keys.PLAN_DELETED_DIRS]: { ru: 'Будут удалены пустые папки', en: 'Empty folders to delete' },
+
+    // Journal and undo
+    [L10n.Keys.UNDOING_RUN]: { ru: 'Отмена запуска', en: 'Undoing run' },
+    [L10n.Keys.NOTHING_TO_UNDO]: { ru: 'Нет запусков для отмены', en: 'Nothing to undo' },
+    [L10n.Keys.RESTORED]: { ru: 'Возвращено', en: 'Restored' },
+    [L10n.Keys.REMOVED_COPY]: { ru: 'Удалена копия', en: 'Removed copy' },
+    [L10n.Keys.RECREATED_DIR]: { ru: 'Восстановлена папка', en: 'Recreated folder' },
+    [L10n.Keys.FILE_MISSING_SINCE]: { ru: 'Файл был перемещен или удален после сортировки', en: 'File was moved or deleted since sorting' },
+    [L10n.Keys.FILE_CHANGED_SINCE]: { ru: 'Файл был изменен после сортировки', en: 'File was changed since sorting' },
+    [L10n.Keys.SOURCE_OCCUPIED]: { ru: 'Исходный путь уже занят, файл не возвращен', en: 'Original path is taken, file was not restored' },
+    [L10n.Keys.ERROR_WRITING_JOURNAL]: { ru: 'Ошибка при записи журнала', en: 'Failed to write the journal' },
+    [L10n.Keys.ERROR_READING_JOURNAL]: { ru: 'Ошибка при чтении журнала', en: 'Failed to read the journal' },
+    [L10n.Keys.ERROR_RESTORING]: { ru: 'Ошибка восстановления', en: 'Error restoring' },
+
+    // Name collisions
+    [L10n.Keys.COLLISIONS]: { ru: 'Совпадения имен', en: 'Name collisions' },
+    [L10n.Keys.COLLISIONS_RENAMED]: { ru: 'переименовано', en: 'renamed' },
+    [L10n.Keys.COLLISIONS_SKIPPED]: { ru: 'пропущено', en: 'skipped' },
+    [L10n.Keys.COLLISIONS_REPLACED]: { ru: 'заменено', en: 'replaced' },
+    [L10n.Keys.COLLISIONS_DUPLICATES_REMOVED]: { ru: 'удалено дубликатов', en: 'duplicates removed' },
+    [L10n.Keys.COLLISION_RENAMED]: { ru: 'Имя занято, файл переименован', en: 'Name taken, file renamed' },
+    [L10n.Keys.COLLISION_SKIPPED]: { ru: 'Имя занято, файл пропущен', en: 'Name taken, file skipped' },
+    [L10n.Keys.COLLISION_REPLACED]: { ru: 'Имя занято, более старый файл заменен и перенесен', en: 'Name taken, older file replaced and moved aside' },
+    [L10n.Keys.COLLISION_KEPT_NEWER]: { ru: 'Имя занято более новым файлом, файл пропущен', en: 'Name taken by a newer file, file skipped' },
+    [L10n.Keys.COLLISION_DUPLICATE_REMOVED]: { ru: 'Удален идентичный дубликат', en: 'Removed identical duplicate' },
+    [L10n.Keys.PLAN_COLLISIONS]: { ru: 'Совпадения имен', en: 'Name collisions' },
+
+    // Duplicates
+    [L10n.Keys.DUPLICATES]: { ru: 'Дубликаты', en: 'Duplicates' },
+    [L10n.Keys.DUPLICATE_GROUPS]: { ru: 'групп', en: 'groups' },
+    [L10n.Keys.DUPLICATE_GROUPS_FOUND]: { ru: 'Группы дубликатов', en: 'Duplicate groups' },
+    [L10n.Keys.MOVED_DUPLICATE]: { ru: 'Перемещен дубликат', en: 'Moved duplicate' },
+    [L10n.Keys.PLAN_STATUS_DUPLICATE]: { ru: 'Дубликат', en: 'Duplicate' },
+    [L10n.Keys.ERROR_READING_FILE]: { ru: 'Ошибка при чтении файла', en: 'Failed to read the file' },
+    [L10n.Keys.ERROR_WRITING_REPORT]: { ru: 'Ошибка при сохранении отчета', en: 'Failed to save the report' },
+    [L10n.Keys.REPORT_SAVED]: { ru: 'Отчет сохранен', en: 'Report saved' },
+
+    // HTML report
+    [L10n.Keys.HTML_REPORT_TITLE]: { ru: 'Отчет Timeline Media Sorter', en: 'Timeline Media Sorter Report' },
+    [L10n.Keys.HTML_REPORT_CREATED]: { ru: 'Запуск', en: 'Run started' },
+    [L10n.Keys.HTML_REPORT_SUMMARY]: { ru: 'Итоги', en: 'Summary' },
+    [L10n.Keys.HTML_REPORT_TIMELINE]: { ru: 'Годы и сезоны', en: 'Years and seasons' },
+    [L10n.Keys.HTML_REPORT_EVENTS]: { ru: 'События', en: 'Events' },
+    [L10n.Keys.HTML_REPORT_ERRORS]: { ru: 'Ошибки', en: 'Errors' },
+    [L10n.Keys.HTML_REPORT_SEASON]: { ru: 'Сезон', en: 'Season' },
+    [L10n.Keys.HTML_REPORT_EVENT]: { ru: 'Событие', en: 'Event' },
+    [L10n.Keys.HTML_REPORT_DATES]: { ru: 'Даты', en: 'Dates' },
+    [L10n.Keys.HTML_REPORT_FILES]: { ru: 'Файлов', en: 'Files' },
+    [L10n.Keys.HTML_REPORT_ERROR]: { ru: 'Ошибка', en: 'Error' },
+    [L10n.Keys.HTML_REPORT_NONE]: { ru: 'Нет', en: 'None' },
+
+    // Watch mode
+    [L10n.Keys.WATCHING]: { ru: 'Слежение за новыми файлами (Ctrl+C для остановки)', en: 'Watching for new files (Ctrl+C to stop)' },
+    [L10n.Keys.WATCH_SUMMARY]: { ru: 'Итоги с начала слежения', en: 'Summary since watching started' },
+    [L10n.Keys.WATCH_STOPPED]: { ru: 'Слежение остановлено', en: 'Stopped watching' },
+    [L10n.Keys.ERROR_WATCHING]: { ru: 'Ошибка слежения за папкой', en: 'Failed to watch the folder' },
+    [L10n.Keys.ERROR_SORTING_WATCHED]: { ru: 'Ошибка сортировки новых файлов', en: 'Failed to sort the new files' },
+
+    // Custom events check
+    [L10n.Keys.INVALID_EVENT]: { ru: 'Неверное событие', en: 'Invalid event' },
+    [L10n.Keys.SKIPPED_EVENT]: { ru: 'Пропущено неверное событие', en: 'Skipped invalid event' },
+    [L10n.Keys.SKIPPED_CALENDAR_EVENT]: { ru: 'Пропущено событие календаря', en: 'Skipped calendar event' },
+    [L10n.Keys.EVENTS_CHECKED]: { ru: 'Проверено событий', en: 'Events checked' },
+    [L10n.Keys.INVALID_EVENTS]: { ru: 'неверных', en: 'invalid' },
+    [L10n.Keys.OVERLAPPING_EVENTS]: { ru: 'пересечений', en: 'overlaps' },
+    [L10n.Keys.OVERLAPPING_EVENT]: { ru: 'События пересекаются', en: 'Events overlap' },
+    [L10n.Keys.SORTING_ABORTED]: {
+      ru: 'Сортировка не запущена: исправьте события или укажите INVALID_EVENTS = \'skip\'',
+      en: 'Sorting aborted: fix the events or set INVALID_EVENTS = \'skip\'',
+    },
+    [L10n.Keys.EVENT_EMPTY_FOLDER]: { ru: 'пустое имя папки', en: 'empty folder name' },
+    [L10n.Keys.EVENT_NO_DATES]: { ru: 'не указаны даты', en: 'no dates' },
+    [L10n.Keys.EVENT_UNPARSEABLE]: {
+      ru: 'не удалось разобрать даты, ожидается DD.MM.YYYY, DD.MM.x, диапазон через "-" (с временем HH:MM или без), '
+        + 'DD.MM.>YYYY, DD.MM.<YYYY или DD.MM.YYYY_YYYY',
+      en: 'unparseable dates, expected DD.MM.YYYY, DD.MM.x, a range joined with "-" (with or without HH:MM times), '
+        + 'DD.MM.>YYYY, DD.MM.<YYYY or DD.MM.YYYY_YYYY',
+    },
+    [L10n.Keys.EVENT_INVALID_DAY]: { ru: 'неверный день', en: 'invalid day' },
+    [L10n.Keys.EVENT_INVALID_MONTH]: { ru: 'неверный месяц', en: 'invalid month' },
+    [L10n.Keys.EVENT_END_BEFORE_START]: { ru: 'окончание раньше начала', en: 'ends before it starts' },
+    [L10n.Keys.EVENT_INVALID_TIME]: { ru: 'неверное время, ожидается HH:MM', en: 'invalid time, expected HH:MM' },
+    [L10n.Keys.EVENT_UNSUPPORTED_RULE]: {
+      ru: 'правило повторения не поддерживается, импортируются только ежегодные события',
+      en: 'unsupported repeat rule, only yearly events are imported',
+    },
+    [L10n.Keys.ERROR_READING_CALENDAR]: { ru: 'не удалось прочитать файл календаря', en: 'failed to read the calendar file' },
+
+    // Settings and command line
+    [L10n.Keys.CLI_HELP]: {
+      ru: `Использование: node "#TimelineMediaSorter.js" [параметры]
+
+  -r, --root <папка>               папка для сканирования (SOURCE_PATH)
+  -t, --target <папка>             папка библиотеки для сортировки (TARGET_PATH)
+  -c, --config <файл>              файл настроек JSON или JS; по умолчанию используется "#TimelineMediaSorterConfig.json"
+                                   или "#TimelineMediaSorterConfig.js" в сканируемой папке
+  -m, --mode <режим>               sort | dry-run | apply-plan | undo | check-events | watch (MODE)
+      --dry-run                    то же, что --mode dry-run
+      --apply-plan                 то же, что --mode apply-plan
+      --undo                       то же, что --mode undo
+      --check-events               то же, что --mode check-events
+  -w, --watch                      то же, что --mode watch: сортировать новые файлы, пока не нажато Ctrl+C
+      --calendar <файл>            импортировать события из файла .ics, можно указать несколько раз (CALENDAR_FILES)
+      --timezone <пояс>            часовой пояс сортировки, например Europe/Moscow (TIMEZONE)
+      --transfer-mode <режим>      move | copy | hardlink (TRANSFER_MODE)
+      --collision-policy <режим>   rename | skip | keep-newer | dedupe (COLLISION_POLICY)
+      --duplicates <режим>         off | report | move (DUPLICATES_MODE)
+      --concurrency <число>        сколько файлов обрабатывать одновременно (CONCURRENCY)
+  -o, --output <вывод>             lines | progress | quiet | silent (OUTPUT_MODE)
+  -q, --quiet                      то же, что --output quiet: только предупреждения, ошибки и итоги
+  -l, --lang <язык>                ru | en (LANGUAGE)
+      --save-logs                  сохранить логи в папку "#TimelineMediaSorterLogs" (SAVE_LOGS)
+      --report <формат>            сохранить отчет jsonl или csv, можно указать несколько раз (REPORT_FORMATS)
+      --html-report                сохранить "#TimelineMediaSorterReport.html" в папку библиотеки (HTML_REPORT)
+  -h, --help                       показать эту справку
+
+Параметры важнее файла настроек, файл настроек важнее настроек в скрипте.`,
+      en: `Usage: node "#TimelineMediaSorter.js" [options]
+
+  -r, --root <dir>                 folder to scan (SOURCE_PATH)
+  -t, --target <dir>               library folder to sort into (TARGET_PATH)
+  -c, --config <file>              JSON or JS config file; by default "#TimelineMediaSorterConfig.json"
+                                   or "#TimelineMediaSorterConfig.js" in the scanned folder is used
+  -m, --mode <mode>                sort | dry-run | apply-plan | undo | check-events | watch (MODE)
+      --dry-run                    same as --mode dry-run
+      --apply-plan                 same as --mode apply-plan
+      --undo                       same as --mode undo
+      --check-events               same as --mode check-events
+  -w, --watch                      same as --mode watch: sort new files until Ctrl+C is pressed
+      --calendar <file>            import events from an .ics file, can be repeated (CALENDAR_FILES)
+      --timezone <zone>            time zone to sort in, e.g. Europe/Berlin (TIMEZONE)
+      --transfer-mode <mode>       move | copy | hardlink (TRANSFER_MODE)
+      --collision-policy <policy>  rename | skip | keep-newer | dedupe (COLLISION_POLICY)
+      --duplicates <mode>          off | report | move (DUPLICATES_MODE)
+      --concurrency <number>       how many files to process at the same time (CONCURRENCY)
+  -o, --output <output>            lines | progress | quiet | silent (OUTPUT_MODE)
+  -q, --quiet                      same as --output quiet: only warnings, errors and the summary
+  -l, --lang <lang>                ru | en (LANGUAGE)
+      --save-logs                  save logs to the "#TimelineMediaSorterLogs" folder (SAVE_LOGS)
+      --report <format>            save a jsonl or csv report, can be repeated (REPORT_FORMATS)
+      --html-report                save "#TimelineMediaSorterReport.html" to the library folder (HTML_REPORT)
+  -h, --help                       show this help
+
+Options override the config file, the config file overrides the settings in the script.`,
+    },
+    [L10n.Keys.SEE_HELP]: { ru: 'Список параметров: --help', en: 'List of options: --help' },
+    [L10n.Keys.CONFIG_LOADED]: { ru: 'Файл настроек', en: 'Config File' },
+    [L10n.Keys.INVALID_ARGUMENTS]: { ru: 'Неверные параметры командной строки', en: 'Invalid command-line arguments' },
+    [L10n.Keys.INVALID_SETTINGS]: { ru: 'Неверные настройки', en: 'Invalid settings' },
+    [L10n.Keys.CONFLICTING_OPTIONS]: { ru: 'нельзя указывать вместе', en: 'cannot be used together' },
+    [L10n.Keys.ERROR_READING_CONFIG]: { ru: 'Ошибка при чтении файла настроек', en: 'Failed to read the config file' },
+    [L10n.Keys.EXPECTED_CONFIG_OBJECT]: { ru: 'Файл настроек должен содержать объект', en: 'The config file must contain an object' },
+    [L10n.Keys.UNKNOWN_SETTING]: { ru: 'неизвестная настройка', en: 'unknown setting' },
+    [L10n.Keys.EXPECTED_BOOLEAN]: { ru: 'ожидается true или false', en: 'expected true or false' },
+    [L10n.Keys.EXPECTED_STRING]: { ru: 'ожидается строка', en: 'expected a string' },
+    [L10n.Keys.EXPECTED_ONE_OF]: { ru: 'ожидается одно из значений', en: 'expected one of' },
+    [L10n.Keys.EXPECTED_STRING_LIST]: { ru: 'ожидается список строк', en: 'expected a list of strings' },
+    [L10n.Keys.EXPECTED_LIST_OF]: { ru: 'ожидается список из значений', en: 'expected a list of' },
+    [L10n.Keys.EXPECTED_EVENTS]: {
+      ru: 'ожидается объект, где у каждого события строка с датами, список таких строк или { dates, priority }',
+      en: 'expected an object mapping each event to a date string, a list of date strings or { dates, priority }',
+    },
+    [L10n.Keys.EXPECTED_PATTERNS]: { ru: 'ожидается список регулярных выражений', en: 'expected a list of regular expressions' },
+    [L10n.Keys.EXPECTED_TIME_ZONE]: {
+      ru: 'ожидается часовой пояс вроде "Europe/Moscow" или "UTC" либо пустая строка',
+      en: 'expected a time zone like "Europe/Berlin" or "UTC", or an empty string',
+    },
+    [L10n.Keys.EXPECTED_YEAR]: { ru: 'ожидается год', en: 'expected a year' },
+    [L10n.Keys.EXPECTED_YEAR_OR_NULL]: { ru: 'ожидается год или null', en: 'expected a year or null' },
+    [L10n.Keys.EXPECTED_POSITIVE_INTEGER]: { ru: 'ожидается целое число больше нуля', en: 'expected a whole number above zero' },
+    [L10n.Keys.UNKNOWN_TOKENS]: { ru: 'неизвестные подстановки', en: 'unknown tokens' },
+    [L10n.Keys.EXPECTED_SEASON_STARTS]: { ru: 'ожидается объект с началом сезонов', en: 'expected an object with the starts of seasons' },
+    [L10n.Keys.EXPECTED_SEASON_START]: { ru: 'ожидается "DD.MM" или "MM"', en: 'expected "DD.MM" or "MM"' },
+    [L10n.Keys.SEASON_STARTS_OVERLAP]: { ru: 'два сезона начинаются в один день', en: 'two seasons start on the same day' },
+    [L10n.Keys.GOT]: { ru: 'получено', en: 'got' },
   });
 
-  static Language = (Intl.DateTimeFormat().resolvedOptions().locale || 'en').startsWith('ru') ? 'ru' : 'en';
+  /**
+   * Language of the command line, and of the runs of the module API whose LANGUAGE is empty.
+   */
+  static Language = L10n.getSystemLanguage();
+
+  static getSystemLanguage() {
+    return (Intl.DateTimeFormat().resolvedOptions().locale || 'en').startsWith('ru') ? 'ru' : 'en';
+  }
+
+  static isLanguage(value) {
+    return value === 'ru' || value === 'en';
+  }
+
+  /**
+   * Returns the LANGUAGE of the current run of the module API if it has one, otherwise `Language`.
+   */
+  static getLanguage() {
+    const settings = SettingsLoader.current;
+    // The command line sets Language itself, even before the settings are read
+    return settings !== TimelineMediaSorterSettings && L10n.isLanguage(settings.LANGUAGE) ? settings.LANGUAGE : L10n.Language;
+  }
 
   static get(key) {
-    return L10n.Translations[key]?.[L10n.Language] || key;
+    return L10n.Translations[key]?.[L10n.getLanguage()] || key;
+  }
+}
+
+/**
+ * Status line at the bottom of the terminal with the phase of the run, the files processed, the speed and
+ * the time left. Drawn only with OUTPUT_MODE 'progress'; the lines logged meanwhile are printed above it.
+ */
+class ProgressDisplay {
+  static Phases = Object.freeze({
+    SCAN: 'scan',
+    PLAN: 'plan',
+    MOVE: 'move',
+    CLEANUP: 'cleanup',
+  });
+
+  static #RENDER_INTERVAL_MS = 100;
+
+  static #phase = null;
+  static #total = null;
+  static #done = 0;
+  static #startTime = 0;
+  static #renderTime = 0;
+  static #rendered = false;
+
+  /**
+   * Starts a phase; `total` is the number of items it processes, or `null` when unknown beforehand.
+   */
+  static start(phase, total = null) {
+    ProgressDisplay.#phase = phase;
+    ProgressDisplay.#total = total;
+    ProgressDisplay.#done = 0;
+    ProgressDisplay.#startTime = Date.now();
+    ProgressDisplay.render();
+  }
+
+  static advance(count = 1) {
+    if (!ProgressDisplay.#phase) return;
+
+    ProgressDisplay.#done += count;
+
+    // Redrawing the line for every file would slow down the run itself
+    if (Date.now() - ProgressDisplay.#renderTime >= ProgressDisplay.#RENDER_INTERVAL_MS) {
+      ProgressDisplay.render();
+    }
+  }
+
+  static stop() {
+    ProgressDisplay.clear();
+    ProgressDisplay.#phase = null;
+  }
+
+  static render() {
+    if (!ProgressDisplay.#phase || LoggerUtils.getOutputMode() !== TimelineMediaSorter.OutputModes.PROGRESS) return;
+
+    const width = (process.stdout.columns || 80) - 1;
+    process.stdout.write(`\r\x1b[2K\x1b[96m${ProgressDisplay.#format().slice(0, width)}\x1b[0m`);
+    ProgressDisplay.#renderTime = Date.now();
+    ProgressDisplay.#rendered = true;
+  }
+
+  static clear() {
+    if (!ProgressDisplay.#rendered) return;
+
+    process.stdout.write('\r\x1b[2K');
+    ProgressDisplay.#rendered = false;
+  }
+
+  static #format() {
+    const total = ProgressDisplay.#total;
+    const done = ProgressDisplay.#done;
+    const seconds = (Date.now() - ProgressDisplay.#startTime) / 1000;
+    const speed = seconds ? done / seconds : 0;
+    const parts = [`⏳ ${L10n.get(ProgressDisplay.#getPhaseKey(ProgressDisplay.#phase))}`];
+
+    parts.push(Utils.exists(total)
+      ? `${done}/${total} (${total ? Math.floor(done / total * 100) : 100}%)`
+      : `${done}`);
+    parts.push(`${Math.round(speed)}/${L10n.get(L10n.Keys.PROGRESS_SECOND)}`);
+
+    if (Utils.exists(total) && speed) {
+      parts.push(`${L10n.get(L10n.Keys.PROGRESS_ETA)} ${ProgressDisplay.#formatDuration((total - done) / speed)}`);
+    }
+
+    return parts.join(' · ');
+  }
+
+  static #formatDuration(seconds) {
+    const rounded = Math.ceil(seconds);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor(rounded % 3600 / 60);
+
+    return hours
+      ? `${hours}:${pad(minutes)}:${pad(rounded % 60)}`
+      : `${minutes}:${pad(rounded % 60)}`;
+  }
+
+  static #getPhaseKey(phase) {
+    switch (phase) {
+      case ProgressDisplay.Phases.SCAN:
+        return L10n.Keys.PROGRESS_SCAN;
+      case ProgressDisplay.Phases.PLAN:
+        return L10n.Keys.PROGRESS_PLAN;
+      case ProgressDisplay.Phases.MOVE:
+        return L10n.Keys.PROGRESS_MOVE;
+      default:
+        return L10n.Keys.PROGRESS_CLEANUP;
+    }
   }
 }
 
 class LoggerUtils {
   static #logText = '';
+  static #buffers = new AsyncLocalStorage();
+  static #detail = false;
 
   static printHeader() {
     LoggerUtils.clear();
@@ -795,12 +5418,71 @@ class LoggerUtils {
   }
 
   static clear() {
-    console.clear();
+    if (LoggerUtils.getOutputMode() !== TimelineMediaSorter.OutputModes.SILENT) console.clear();
+  }
+
+  /**
+   * Forgets the lines logged so far, so the log file of the next run has only its own lines.
+   */
+  static reset() {
+    LoggerUtils.#logText = '';
   }
 
   static log(...args) {
-    console.log(...args);
-    LoggerUtils.saveToLogs(...args);
+    LoggerUtils.#logLine({ args, detail: LoggerUtils.#detail });
+  }
+
+  /**
+   * Logs what the callback logs as details of single files and folders: they are only printed
+   * with the 'lines' output (see OUTPUT_MODE), but always saved to the log file.
+   */
+  static detail(callback) {
+    LoggerUtils.#detail = true;
+
+    try {
+      callback();
+    } finally {
+      LoggerUtils.#detail = false;
+    }
+  }
+
+  /**
+   * Returns OUTPUT_MODE, with 'progress' falling back to 'lines' when the output is not a terminal.
+   */
+  static getOutputMode() {
+    const { OutputModes } = TimelineMediaSorter;
+    const mode = SettingsLoader.current.OUTPUT_MODE;
+    return mode === OutputModes.PROGRESS && !process.stdout.isTTY ? OutputModes.LINES : mode;
+  }
+
+  static #logLine(line) {
+    const buffer = LoggerUtils.#buffers.getStore();
+
+    if (buffer) {
+      buffer.push(line);
+      return;
+    }
+
+    const mode = LoggerUtils.getOutputMode();
+
+    if (mode !== TimelineMediaSorter.OutputModes.SILENT && (!line.detail || mode === TimelineMediaSorter.OutputModes.LINES)) {
+      ProgressDisplay.clear();
+      console.log(...line.args);
+      ProgressDisplay.render();
+    }
+
+    LoggerUtils.saveToLogs(...line.args);
+  }
+
+  /**
+   * Runs the callback holding back everything it logs, also after its awaits,
+   * so the output of callbacks running at the same time can be printed in a fixed order.
+   * Resolves with `{ result, flush }`, where `flush` prints the held back output.
+   */
+  static async buffered(callback) {
+    const buffer = [];
+    const result = await LoggerUtils.#buffers.run(buffer, callback);
+    return { result, flush: () => buffer.forEach(line => LoggerUtils.#logLine(line)) };
   }
 
   static indent(symbol) {
@@ -845,8 +5527,88 @@ class LoggerUtils {
   static saveLogsToFile(rootPath, fileName) {
     const logText = LoggerUtils.getLogs();
     const targetPath = path.join(rootPath, fileName);
+    fs.mkdirSync(rootPath, { recursive: true });
     fs.writeFileSync(targetPath, logText, 'utf-8');
   }
 }
 
-new TimelineMediaSorter().sort();
+/**
+ * Runs the sorter from other scripts instead of the command line:
+ *
+ *   const { sort, plan } = require('./#TimelineMediaSorter.js');
+ *   const result = await sort({ sourcePath: 'D:/Inbox', targetPath: 'D:/Photos', onFile: file => console.log(file) });
+ *
+ * The options are the settings in camelCase (see SettingsLoader.resolve) and `onFile`, called with the report record
+ * of every file once it is handled. Every run gets its own settings, TimelineMediaSorterSettings are not changed.
+ * Runs are queued, because the console output and the saved log are shared by all of them.
+ */
+class SorterApi {
+  static #queue = Promise.resolve();
+
+  /**
+   * Sorts the files; resolves with the result of the run, or rejects when the options are invalid.
+   */
+  static sort(options = {}) {
+    return SorterApi.#enqueue(options);
+  }
+
+  /**
+   * Plans the sorting like the 'dry-run' mode: no file is touched, only the plan is saved for 'apply-plan'.
+   */
+  static plan(options = {}) {
+    return SorterApi.#enqueue({ ...options, mode: TimelineMediaSorter.Modes.DRY_RUN });
+  }
+
+  /**
+   * Calls `callback` with the options as the settings of the exported resolvers, like `sort` does for a run,
+   * and returns what it returns; throws when the options are invalid.
+   */
+  static withSettings(options, callback) {
+    return SettingsLoader.run(SorterApi.#resolve(options), callback);
+  }
+
+  static #resolve(options) {
+    const { settings, errors } = SettingsLoader.resolve(options);
+    if (errors.length) throw new Error(`${L10n.get(L10n.Keys.INVALID_SETTINGS)}:\n${errors.join('\n')}`);
+    return settings;
+  }
+
+  static #enqueue(options) {
+    const run = SorterApi.#queue.then(() => SorterApi.#run(options));
+    SorterApi.#queue = run.catch(() => {});
+    return run;
+  }
+
+  static async #run({ onFile, ...options }) {
+    const settings = SorterApi.#resolve(options);
+
+    LoggerUtils.reset();
+    // Calendar files may have been changed since the previous run
+    CalendarReader.clearCache();
+    const sorter = new TimelineMediaSorter(settings);
+    if (onFile) sorter.on('file', onFile);
+
+    return sorter.sort();
+  }
+}
+
+if (require.main === module && SettingsLoader.load(process.argv.slice(2))) {
+  new TimelineMediaSorter().sort().then(({ aborted }) => {
+    if (aborted) process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  sort: SorterApi.sort,
+  plan: SorterApi.plan,
+  withSettings: SorterApi.withSettings,
+  TimelineMediaSorter,
+  BinaryFile,
+  CalendarReader,
+  DateParser,
+  EventsResolver,
+  ExifReader,
+  IsoBmffReader,
+  MetadataReader,
+  SeasonsResolver,
+};
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Usage: node Benchmark.js [files] [concurrency...]
+// Generates a tree of small dated files and sorts a fresh copy of it with every concurrency value.
+//
+// A local disk answers too fast to show the difference, so by default every folder and file operation
+// of the sorter is delayed by BENCHMARK_LATENCY milliseconds (2), like on a network share or a USB drive.
+// Set BENCHMARK_LATENCY=0 and BENCHMARK_DIR to a folder on a real slow drive to measure it instead.
+const LATENCY = Number(process.env.BENCHMARK_LATENCY ?? 2);
+
+// Loaded with --require into the sorter process: delays the file system calls the sorter makes
+if (require.main !== module) {
+  for (const name of ['readdir', 'stat', 'mkdir', 'rename', 'copyFile', 'link', 'unlink', 'utimes', 'rm']) {
+    const original = fs[name];
+    fs[name] = (...args) => {
+      const callback = args.pop();
+      original(...args, (...results) => setTimeout(callback, LATENCY, ...results));
+    };
+  }
+
+  return;
+}
+
+const FILES = parseInt(process.argv[2], 10) || 5000;
+const CONCURRENCY_VALUES = process.argv.slice(3).map(Number).filter(Boolean);
+const SCRIPT_PATH = path.join(__dirname, '#TimelineMediaSorter.js');
+const BASE_DIR = fs.mkdtempSync(path.join(process.env.BENCHMARK_DIR || os.tmpdir(), 'TimelineMediaSorterBenchmark-'));
+
+function generateTree(rootDir) {
+  const filesPerDir = 50;
+
+  for (let idx = 0; idx < FILES; idx++) {
+    const dir = path.join(rootDir, `Import ${Math.floor(idx / filesPerDir / 10)}`, `Card ${Math.floor(idx / filesPerDir)}`);
+    const date = new Date(Date.UTC(2015, 0, 1) + idx * 7 * 60 * 60 * 1000);
+    const fileName = `IMG_${date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '_')}_${idx}.jpg`;
+
+    if (idx % filesPerDir === 0) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, fileName), `${idx}`);
+  }
+}
+
+function sort(rootDir, concurrency) {
+  const preload = LATENCY ? ['--require', __filename] : [];
+  const start = process.hrtime.bigint();
+  const { status, stderr } = spawnSync(process.execPath, [
+    ...preload, SCRIPT_PATH, '--root', rootDir, '--concurrency', String(concurrency), '--lang', 'en',
+  ], { encoding: 'utf-8', maxBuffer: 1024 * 1024 * 1024 });
+
+  if (status !== 0) throw new Error(stderr || `exit code ${status}`);
+
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+try {
+  console.log(`Files: ${FILES}, latency: ${LATENCY} ms, folder: ${BASE_DIR}`);
+
+  for (const concurrency of CONCURRENCY_VALUES.length ? CONCURRENCY_VALUES : [1, 4, 16]) {
+    const rootDir = path.join(BASE_DIR, `concurrency-${concurrency}`);
+    generateTree(rootDir);
+    console.log(`Concurrency ${String(concurrency).padStart(3)}: ${Math.round(sort(rootDir, concurrency))} ms`);
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+} finally {
+  fs.rmSync(BASE_DIR, { recursive: true, force: true });
+}
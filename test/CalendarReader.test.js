@@ -0,0 +1,176 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { CalendarReader, withSettings } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+let tempDir;
+
+const event = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+// Saves the events as "Family.ics" in a folder of its own, because the files are read once per path
+const writeCalendar = (...events) => {
+  const filePath = path.join(fs.mkdtempSync(path.join(tempDir, 'Calendar-')), 'Family.ics');
+  fs.writeFileSync(filePath, ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n'));
+  return filePath;
+};
+
+// The imported entries as `[name, dates]`, and the skipped events as `[name, reason]`
+const read = (events, options = {}) => withSettings(options, () => {
+  const filePath = writeCalendar(...events);
+  return {
+    entries: CalendarReader.getEntries([filePath]).map(([name, dates]) => [name, dates]),
+    skipped: CalendarReader.getSkippedEvents([filePath]).map(({ name, reason }) => [name, reason]),
+  };
+});
+
+describe('CalendarReader', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'TimelineMediaSorterTest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('text', () => {
+    it('unfolds the lines continued with a space or a tab', () => {
+      const { entries } = read([event('SUMMARY:Trip to It', ' aly and', '\tFrance', 'DTSTART;VALUE=DATE:20230501')]);
+      assert.deepEqual(entries, [['Trip to Italy andFrance', '01.05.2023']]);
+    });
+
+    it('unescapes commas and semicolons', () => {
+      const { entries } = read([event('SUMMARY:Rome\\, Milan\\; Turin', 'DTSTART;VALUE=DATE:20230501')]);
+      assert.deepEqual(entries, [['Rome, Milan; Turin', '01.05.2023']]);
+    });
+
+    it('leaves out cancelled events and changed occurrences', () => {
+      const { entries, skipped } = read([
+        event('SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART;VALUE=DATE:20230501'),
+        event('SUMMARY:Moved', 'RECURRENCE-ID;VALUE=DATE:20230601', 'DTSTART;VALUE=DATE:20230602'),
+      ]);
+
+      assert.deepEqual(entries, []);
+      assert.deepEqual(skipped, []);
+    });
+  });
+
+  describe('dates', () => {
+    it('ends an all-day event the day before DTEND', () => {
+      const { entries } = read([
+        event('SUMMARY:Day', 'DTSTART;VALUE=DATE:20230501', 'DTEND;VALUE=DATE:20230502'),
+        event('SUMMARY:Holidays', 'DTSTART;VALUE=DATE:20231220', 'DTEND;VALUE=DATE:20240106'),
+      ]);
+
+      assert.deepEqual(entries, [['Day', '01.05.2023'], ['Holidays', '20.12.2023-05.01.2024']]);
+    });
+
+    it('ends a timed event at its last minute before DTEND', () => {
+      const { entries } = read([event('SUMMARY:Meeting', 'DTSTART:20230105T100000', 'DTEND:20230105T120000')]);
+      assert.deepEqual(entries, [['Meeting', '05.01.2023 10:00-05.01.2023 11:59']]);
+    });
+
+    it('keeps the days and times of a timed event over several days', () => {
+      const { entries } = read([event('SUMMARY:Party', 'DTSTART:20230105T200000', 'DTEND:20230107T030000')]);
+      assert.deepEqual(entries, [['Party', '05.01.2023 20:00-07.01.2023 02:59']]);
+    });
+
+    it('adds DURATION to the start when there is no DTEND', () => {
+      const { entries } = read([event('SUMMARY:Trip', 'DTSTART;VALUE=DATE:20230501', 'DURATION:P1W')]);
+      assert.deepEqual(entries, [['Trip', '01.05.2023-07.05.2023']]);
+    });
+
+    it('converts UTC times to TIMEZONE', () => {
+      const { entries } = read([event('SUMMARY:Call', 'DTSTART:20231231T230000Z', 'DTEND:20240101T000000Z')], { timezone: 'Europe/Berlin' });
+      assert.deepEqual(entries, [['Call', '01.01.2024 00:00-01.01.2024 00:59']]);
+    });
+  });
+
+  describe('yearly events', () => {
+    it('turns a yearly day into a recurring event from its first year', () => {
+      const { entries } = read([event('SUMMARY:Birthday', 'DTSTART;VALUE=DATE:20200318', 'RRULE:FREQ=YEARLY')]);
+      assert.deepEqual(entries, [['Birthday', '18.03.>2020']]);
+    });
+
+    it('turns yearly days crossing New Year into an open-ended range', () => {
+      const { entries } = read([
+        event('SUMMARY:New Year', 'DTSTART;VALUE=DATE:20201231', 'DTEND;VALUE=DATE:20210102', 'RRULE:FREQ=YEARLY;BYMONTH=12'),
+      ]);
+
+      assert.deepEqual(entries, [['New Year', '31.12.2020-01.01.x']]);
+    });
+
+    it('limits the years by COUNT and UNTIL', () => {
+      const { entries } = read([
+        event('SUMMARY:Camp', 'DTSTART;VALUE=DATE:20200318', 'RRULE:FREQ=YEARLY;COUNT=3'),
+        event('SUMMARY:Fair', 'DTSTART;VALUE=DATE:20200501', 'DTEND;VALUE=DATE:20200503', 'RRULE:FREQ=YEARLY;UNTIL=20210501'),
+      ]);
+
+      assert.deepEqual(entries, [
+        ['Camp', '18.03.2020_2022'],
+        ['Fair', '01.05.2020-02.05.2020'],
+        ['Fair', '01.05.2021-02.05.2021'],
+      ]);
+    });
+
+    it('lists the occurrences of a rule with an interval', () => {
+      const { entries } = read([event('SUMMARY:Olympics', 'DTSTART;VALUE=DATE:20200724', 'RRULE:FREQ=YEARLY;INTERVAL=4;COUNT=2')]);
+      assert.deepEqual(entries, [['Olympics', '24.07.2020'], ['Olympics', '24.07.2024']]);
+    });
+  });
+
+  describe('names', () => {
+    it('puts the first category before the summary', () => {
+      const { entries } = read([
+        event('SUMMARY:Birthday', 'CATEGORIES:Family,Work', 'DTSTART;VALUE=DATE:20230501'),
+        event('SUMMARY:Meetup', 'CATEGORIES:Friends\\, Old,Work', 'DTSTART;VALUE=DATE:20230502'),
+        event('SUMMARY:Walk', 'DTSTART;VALUE=DATE:20230503'),
+      ]);
+
+      assert.deepEqual(entries, [['Family|Birthday', '01.05.2023'], ['Friends, Old|Meetup', '02.05.2023'], ['Walk', '03.05.2023']]);
+    });
+
+    it('uses the calendar name of CALENDAR_EVENT_NAME, or the file name without one', () => {
+      const options = { calendarEventName: '{calendar}|{summary}' };
+
+      assert.deepEqual(read([event('SUMMARY:Walk', 'DTSTART;VALUE=DATE:20230503')], options).entries, [['Family|Walk', '03.05.2023']]);
+      assert.deepEqual(read([['X-WR-CALNAME:Home'], event('SUMMARY:Walk', 'DTSTART;VALUE=DATE:20230503')], options).entries,
+        [['Home|Walk', '03.05.2023']]);
+    });
+  });
+
+  describe('skipped events', () => {
+    it('skips the repeat rules it cannot write as custom events', () => {
+      const { entries, skipped } = read([
+        event('SUMMARY:Weekly', 'DTSTART:20250103T090000', 'RRULE:FREQ=WEEKLY'),
+        event('SUMMARY:Monthly', 'DTSTART;VALUE=DATE:20250103', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=3'),
+        event('SUMMARY:Leap', 'DTSTART;VALUE=DATE:20200229', 'RRULE:FREQ=YEARLY;INTERVAL=4'),
+        event('SUMMARY:Birthday', 'DTSTART;VALUE=DATE:20200318', 'RRULE:FREQ=YEARLY'),
+      ]);
+
+      assert.deepEqual(entries, [['Birthday', '18.03.>2020']]);
+      assert.deepEqual(skipped, [
+        ['Weekly', 'eventUnsupportedRule'],
+        ['Monthly', 'eventUnsupportedRule'],
+        ['Leap', 'eventUnsupportedRule'],
+      ]);
+    });
+
+    it('skips the events without a start', () => {
+      const { entries, skipped } = read([event('SUMMARY:Someday', 'DTSTART:soon')]);
+
+      assert.deepEqual(entries, []);
+      assert.deepEqual(skipped, [['Someday', 'eventNoDates']]);
+    });
+
+    it('reports an unreadable file as an invalid entry', () => {
+      const filePath = path.join(tempDir, 'Missing.ics');
+      const [[name, , , error]] = CalendarReader.getEntries([filePath]);
+
+      assert.equal(name, filePath);
+      assert.equal(error, 'errorReadingCalendar');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+
+const { DateParser, withSettings } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+// The date a file is sorted by: "YYYY-MM-DD", with " HH:MM:SS" when the name has a time
+const parse = (fileName, options = {}) => withSettings({ timezone: 'Europe/Berlin', ...options }, () => {
+  const dateInfo = DateParser.parseFileName(fileName);
+  if (!dateInfo) return null;
+
+  const { year, month, day, hour, minute, second } = DateParser.toTimeZone(dateInfo);
+  return hour === null ? `${year}-${month}-${day}` : `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+});
+
+// A pattern with a UTC offset, which the default patterns do not have
+const OFFSET_PATTERN = '(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})T(?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})(?<offset>Z|[+-]\\d{4})';
+
+// Every row of "Recognized Date Formats in File Names" in the README
+const README_FORMATS = {
+  'IMG_2025-01-25_15-43-22.jpg': '2025-01-25 15:43:22',
+  'WhatsApp Image 2025-01-25 at 15.43.22.jpeg': '2025-01-25 15:43:22',
+  'IMG_2025-01-25.jpg': '2025-01-25',
+  'IMG_25-01-2025_15-43-22.jpg': '2025-01-25 15:43:22',
+  'IMG_25-01-2025.jpg': '2025-01-25',
+  'IMG_2025.01.25-12.30.45.jpg': '2025-01-25 12:30:45',
+  'IMG_2025.01.25.jpg': '2025-01-25',
+  'IMG_25.01.2025-12.30.45.jpg': '2025-01-25 12:30:45',
+  'IMG_25.01.2025.jpg': '2025-01-25',
+  'IMG_2025_01_25.jpg': '2025-01-25',
+  'IMG_20250125_102030.jpg': '2025-01-25 10:20:30',
+  'PXL_20250125_102030123.jpg': '2025-01-25 10:20:30',
+  'Screenshot_20250125-102030.png': '2025-01-25 10:20:30',
+  'IMG-20250125-WA0001.jpg': '2025-01-25',
+  // 10:20:30 UTC in Europe/Berlin
+  '1737800430000.jpg': '2025-01-25 11:20:30',
+  '1737800430.jpg': '2025-01-25 11:20:30',
+  'IMG_20250125.jpg': '2025-01-25',
+};
+
+describe('DateParser', () => {
+  describe('README formats', () => {
+    for (const [fileName, expected] of Object.entries(README_FORMATS)) {
+      it(fileName, () => {
+        assert.equal(parse(fileName), expected);
+      });
+    }
+  });
+
+  describe('DATE_PATTERNS precedence', () => {
+    it('prefers the patterns with a time to the same date without one', () => {
+      assert.equal(parse('IMG_2025-01-25_15-43-22.jpg'), '2025-01-25 15:43:22');
+      assert.equal(parse('IMG_20250125_102030.jpg'), '2025-01-25 10:20:30');
+    });
+
+    it('tries the patterns in order, not the dates in the order of the name', () => {
+      assert.equal(parse('20230101_backup_2024-05-01.jpg'), '2024-05-01');
+    });
+
+    it('tries every place a pattern matches', () => {
+      assert.equal(parse('0000-00-00 2024-05-01.jpg'), '2024-05-01');
+      assert.equal(parse('IMG_2025-13-45_20240101.jpg'), '2024-01-01');
+    });
+
+    it('falls back to the next pattern when the time is impossible', () => {
+      assert.equal(parse('IMG_2025-01-25_25-00-00.jpg'), '2025-01-25');
+    });
+
+    it('does not take a date out of a longer number', () => {
+      assert.equal(parse('DSC_12345678901.jpg'), null);
+      assert.equal(parse('IMG_120250125.jpg'), null);
+    });
+
+    it('uses the configured patterns instead of the default ones', () => {
+      const datePatterns = ['(?<day>\\d{2})(?<month>\\d{2})(?<year>\\d{4})'];
+
+      assert.equal(parse('Scan 25012025.jpg', { datePatterns }), '2025-01-25');
+      assert.equal(parse('IMG_2025-01-25.jpg', { datePatterns }), null);
+    });
+  });
+
+  describe('invalid dates', () => {
+    it('accepts 29 February only in leap years', () => {
+      assert.equal(parse('IMG_2024-02-29.jpg'), '2024-02-29');
+      assert.equal(parse('IMG_2023-02-29.jpg'), null);
+      assert.equal(parse('IMG_19000229.jpg'), null);
+      assert.equal(parse('IMG_20000229.jpg'), '2000-02-29');
+    });
+
+    it('skips impossible months and days', () => {
+      assert.equal(parse('IMG_20251301.jpg'), null);
+      assert.equal(parse('IMG_31.04.2025.jpg'), null);
+    });
+
+    it('skips the years outside MIN_YEAR and MAX_YEAR', () => {
+      assert.equal(parse('IMG_18991231.jpg'), null);
+      assert.equal(parse('IMG_18991231.jpg', { minYear: 1800 }), '1899-12-31');
+      assert.equal(parse('IMG_20990101.jpg'), null);
+      assert.equal(parse('IMG_20990101.jpg', { maxYear: 2100 }), '2099-01-01');
+    });
+  });
+
+  describe('time zones', () => {
+    it('converts Unix times to TIMEZONE across New Year', () => {
+      // 23:00 UTC on 31 December 2024
+      assert.equal(parse('1735686000.jpg', { timezone: 'UTC' }), '2024-12-31 23:00:00');
+      assert.equal(parse('1735686000.jpg', { timezone: 'Europe/Berlin' }), '2025-01-01 00:00:00');
+      assert.equal(parse('1735686000.jpg', { timezone: 'America/Los_Angeles' }), '2024-12-31 15:00:00');
+    });
+
+    it('follows daylight saving time', () => {
+      // Midnight UTC on 1 July 2024
+      assert.equal(parse('1719792000000.jpg', { timezone: 'Europe/Berlin' }), '2024-07-01 02:00:00');
+    });
+
+    it('converts times with an offset only when TIMEZONE is set', () => {
+      const datePatterns = [OFFSET_PATTERN];
+
+      assert.equal(parse('IMG_2024-12-31T233000+0200.jpg', { datePatterns, timezone: '' }), '2024-12-31 23:30:00');
+      assert.equal(parse('IMG_2024-12-31T233000+0200.jpg', { datePatterns, timezone: 'UTC' }), '2024-12-31 21:30:00');
+      assert.equal(parse('IMG_2024-12-31T233000+0200.jpg', { datePatterns, timezone: 'Asia/Tokyo' }), '2025-01-01 06:30:00');
+    });
+
+    it('converts UTC times to TIMEZONE', () => {
+      const datePatterns = [OFFSET_PATTERN];
+
+      assert.equal(parse('IMG_2024-12-31T233000Z.jpg', { datePatterns, timezone: 'Asia/Tokyo' }), '2025-01-01 08:30:00');
+    });
+
+    it('keeps the times without an offset as they are written', () => {
+      assert.equal(parse('IMG_20241231_233000.jpg', { timezone: 'Asia/Tokyo' }), '2024-12-31 23:30:00');
+      assert.equal(parse('IMG_20241231_233000.jpg', { timezone: '' }), '2024-12-31 23:30:00');
+    });
+  });
+});
@@ -0,0 +1,330 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+
+const { EventsResolver, withSettings } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+// Dates are passed to the resolver as wall-clock times in the UTC fields, like the sorter does
+const at = (date, time = '00:00') => new Date(`${date}T${time}:00Z`);
+
+let settings = {};
+
+const useEvents = (customEventsDates, options = {}) => {
+  settings = { customEventsDates, ...options };
+};
+
+// Calls the resolver with the settings of the test, like a run of the sorter does
+const resolve = callback => withSettings(settings, callback);
+
+const getFolders = (date, hasTime = false) => resolve(() => {
+  const match = EventsResolver.getCustomEventMatch(date, hasTime);
+  return match && EventsResolver.getCustomEventPath(match).join('/');
+});
+
+// Every row of "Possible Formatting Options for Custom Events" in the README:
+// the days inside the event with the folders they go to, and the days just outside it
+const README_FORMATS = [
+  {
+    dates: '05.02.2000',
+    inside: { '2000-02-05': 'Event 2000' },
+    outside: ['2000-02-04', '2000-02-06', '2001-02-05'],
+  },
+  {
+    dates: '10.03.2001-15.03.2001',
+    inside: { '2001-03-10': 'Event 2001', '2001-03-12': 'Event 2001', '2001-03-15': 'Event 2001' },
+    outside: ['2001-03-09', '2001-03-16', '2002-03-12'],
+  },
+  {
+    dates: '25.12.2001-05.01.2002',
+    inside: { '2001-12-25': 'Event 2001-2002', '2002-01-01': 'Event 2001-2002', '2002-01-05': 'Event 2001-2002' },
+    outside: ['2001-12-24', '2002-01-06', '2002-12-25'],
+  },
+  {
+    dates: '10.01.2002-10.01.2003',
+    inside: { '2002-01-10': 'Event 2002-2003', '2002-05-10': 'Event 2002-2003', '2003-01-10': 'Event 2002-2003' },
+    outside: ['2002-01-09', '2003-01-11'],
+  },
+  {
+    dates: '20.01.2004_2006',
+    inside: { '2004-01-20': 'Event/Event 2004', '2005-01-20': 'Event/Event 2005', '2006-01-20': 'Event/Event 2006' },
+    outside: ['2003-01-20', '2007-01-20', '2005-01-21'],
+  },
+  {
+    dates: '25.01.>2007',
+    inside: { '2007-01-25': 'Event/Event 2007', '2030-01-25': 'Event/Event 2030' },
+    outside: ['2006-01-25', '2008-01-26'],
+  },
+  {
+    dates: '30.01.2010-30.01.x',
+    inside: { '2010-01-30': 'Event/Event 2010', '2012-01-30': 'Event/Event 2012' },
+    outside: ['2009-01-30', '2012-01-31'],
+  },
+  {
+    dates: '25.12.2020-05.01.x',
+    inside: { '2020-12-25': 'Event/Event 2020-2021', '2022-12-30': 'Event/Event 2022-2023', '2025-01-05': 'Event/Event 2024-2025' },
+    outside: ['2020-01-03', '2020-12-24', '2025-01-06'],
+  },
+  {
+    dates: '25.03.2015-30.03.x',
+    inside: { '2015-03-25': 'Event/Event 2015', '2017-03-27': 'Event/Event 2017', '2020-03-30': 'Event/Event 2020' },
+    outside: ['2014-03-27', '2020-03-24', '2020-03-31'],
+  },
+  {
+    dates: '30.01.<1980',
+    inside: { '1980-01-30': 'Event/Event 1980', '1975-01-30': 'Event/Event 1975' },
+    outside: ['1981-01-30', '1975-01-31'],
+  },
+  {
+    dates: '30.01.x-30.01.1985',
+    inside: { '1985-01-30': 'Event/Event 1985', '1982-01-30': 'Event/Event 1982' },
+    outside: ['1986-01-30', '1982-01-29'],
+  },
+  {
+    dates: '25.01.x-30.01.1990',
+    inside: { '1990-01-25': 'Event/Event 1990', '1970-01-27': 'Event/Event 1970', '1990-01-30': 'Event/Event 1990' },
+    outside: ['1991-01-27', '1990-01-24', '1990-01-31'],
+  },
+  {
+    dates: '25.12.x-05.01.1995',
+    inside: { '1990-12-31': 'Event/Event 1990-1991', '1994-12-25': 'Event/Event 1994-1995', '1995-01-05': 'Event/Event 1994-1995' },
+    outside: ['1995-12-25', '1996-01-01', '1994-01-06'],
+  },
+  {
+    dates: '11.11.x',
+    inside: { '1950-11-11': 'Event/Event 1950', '2023-11-11': 'Event/Event 2023' },
+    outside: ['2023-11-10', '2023-11-12'],
+  },
+  {
+    dates: '15.11.x-20.11.x',
+    inside: { '2023-11-15': 'Event/Event 2023', '2023-11-20': 'Event/Event 2023' },
+    outside: ['2023-11-14', '2023-11-21'],
+  },
+  {
+    dates: '31.12.x-01.01.x',
+    inside: { '2024-12-31': 'Event/Event 2024-2025', '2025-01-01': 'Event/Event 2024-2025' },
+    outside: ['2024-12-30', '2025-01-02'],
+  },
+  {
+    dates: '12.06.2021 17:00-13.06.2021 02:00',
+    inside: { '2021-06-12': 'Event 2021', '2021-06-13': 'Event 2021' },
+    outside: ['2021-06-11', '2021-06-14'],
+  },
+  {
+    dates: '31.12.x 18:00-01.01.x 03:00',
+    inside: { '2024-12-31': 'Event/Event 2024-2025', '2025-01-01': 'Event/Event 2024-2025' },
+    outside: ['2024-12-30', '2025-01-02'],
+  },
+];
+
+describe('EventsResolver', () => {
+  describe('README formats', () => {
+    for (const { dates, inside, outside } of README_FORMATS) {
+      it(dates, () => {
+        useEvents({ 'Event': dates });
+        assert.deepEqual(resolve(() => EventsResolver.validate()), []);
+
+        for (const [date, folders] of Object.entries(inside)) {
+          assert.equal(getFolders(at(date)), folders, date);
+        }
+
+        for (const date of outside) {
+          assert.equal(getFolders(at(date)), null, date);
+        }
+      });
+    }
+  });
+
+  describe('times of day', () => {
+    it('matches a fixed range by its start and end times', () => {
+      useEvents({ 'Party': '12.06.2021 17:00-13.06.2021 02:00' });
+
+      assert.equal(getFolders(at('2021-06-12', '16:59'), true), null);
+      assert.equal(getFolders(at('2021-06-12', '17:00'), true), 'Party 2021');
+      assert.equal(getFolders(at('2021-06-13', '02:00'), true), 'Party 2021');
+      assert.equal(getFolders(at('2021-06-13', '02:01'), true), null);
+    });
+
+    it('matches a recurring range crossing the year by its times', () => {
+      useEvents({ 'New Year Party': '31.12.x 18:00-01.01.x 03:00' });
+
+      assert.equal(getFolders(at('2024-12-31', '17:59'), true), null);
+      assert.equal(getFolders(at('2024-12-31', '23:30'), true), 'New Year Party/New Year Party 2024-2025');
+      assert.equal(getFolders(at('2025-01-01', '02:30'), true), 'New Year Party/New Year Party 2024-2025');
+      assert.equal(getFolders(at('2025-01-01', '03:01'), true), null);
+    });
+
+    it('matches whole days when the file has no time', () => {
+      useEvents({ 'Party': '12.06.2021 17:00-13.06.2021 02:00' });
+
+      assert.equal(getFolders(at('2021-06-12', '09:00')), 'Party 2021');
+      assert.equal(getFolders(at('2021-06-13', '23:00')), 'Party 2021');
+    });
+  });
+
+  describe('year boundaries', () => {
+    it('files both days of New Year under the years the event spans', () => {
+      useEvents({ 'Holidays|New Year': '31.12.x-01.01.x' });
+
+      assert.equal(getFolders(at('2019-12-31')), 'Holidays/New Year/New Year 2019-2020');
+      assert.equal(getFolders(at('2020-01-01')), 'Holidays/New Year/New Year 2019-2020');
+      assert.equal(getFolders(at('2020-12-31')), 'Holidays/New Year/New Year 2020-2021');
+    });
+
+    it('does not continue a range crossing the year before its start year', () => {
+      useEvents({ 'Winter Trip': '28.12.2022-03.01.x' });
+
+      assert.equal(getFolders(at('2022-01-02')), null);
+      assert.equal(getFolders(at('2022-12-28')), 'Winter Trip/Winter Trip 2022-2023');
+      assert.equal(getFolders(at('2023-01-03')), 'Winter Trip/Winter Trip 2022-2023');
+    });
+
+    it('does not start a range crossing the year after its end year', () => {
+      useEvents({ 'Winter Trip': '28.12.x-03.01.2023' });
+
+      assert.equal(getFolders(at('2023-01-03')), 'Winter Trip/Winter Trip 2022-2023');
+      assert.equal(getFolders(at('2023-12-28')), null);
+    });
+
+    it('files a fixed range over several years under its first and last years', () => {
+      useEvents({ 'Trips|Around the World': '01.06.2018-31.05.2020' });
+
+      assert.equal(getFolders(at('2018-06-01')), 'Trips/Around the World 2018-2020');
+      assert.equal(getFolders(at('2019-12-31')), 'Trips/Around the World 2018-2020');
+      assert.equal(getFolders(at('2020-05-31')), 'Trips/Around the World 2018-2020');
+      assert.equal(getFolders(at('2020-06-01')), null);
+    });
+  });
+
+  describe('leap days', () => {
+    it('matches a recurring 29 February only in leap years', () => {
+      useEvents({ 'Leap Day': '29.02.x' });
+
+      assert.deepEqual(resolve(() => EventsResolver.validate()), []);
+      assert.equal(getFolders(at('2024-02-29')), 'Leap Day/Leap Day 2024');
+      assert.equal(getFolders(at('2023-02-28')), null);
+      assert.equal(getFolders(at('2023-03-01')), null);
+    });
+
+    it('covers 29 February in a recurring range in leap years', () => {
+      useEvents({ 'Carnival': '28.02.x-01.03.x' });
+
+      assert.equal(getFolders(at('2024-02-29')), 'Carnival/Carnival 2024');
+      assert.equal(getFolders(at('2023-03-01')), 'Carnival/Carnival 2023');
+      assert.equal(getFolders(at('2023-03-02')), null);
+    });
+
+    it('accepts 29 February only in a leap year of a fixed date', () => {
+      useEvents({ 'Valid': '29.02.2024', 'Invalid': '29.02.2023' });
+
+      assert.deepEqual(resolve(() => EventsResolver.validate()).map(({ name, reason }) => [name, reason]), [['Invalid', 'eventInvalidDay']]);
+      assert.equal(getFolders(at('2024-02-29')), 'Valid 2024');
+      assert.equal(getFolders(at('2023-03-01')), null);
+    });
+  });
+
+  describe('getCustomEventPath', () => {
+    it('adds the year to the last folder of a fixed event', () => {
+      const path = EventsResolver.getCustomEventPath({ name: 'Trips|Italy', year: 2023, recurring: false, crossedYears: [] });
+      assert.deepEqual(path, ['Trips', 'Italy 2023']);
+    });
+
+    it('adds a folder with the year for every occurrence of a recurring event', () => {
+      const path = EventsResolver.getCustomEventPath({ name: 'Holidays/Birthday', year: 2023, recurring: true, crossedYears: [] });
+      assert.deepEqual(path, ['Holidays', 'Birthday', 'Birthday 2023']);
+    });
+
+    it('uses the years an event crosses', () => {
+      const fixed = EventsResolver.getCustomEventPath({ name: 'Trip', year: 2024, recurring: false, crossedYears: [2023, 2024] });
+      const recurring = EventsResolver.getCustomEventPath({ name: 'A\\B|C', year: 2024, recurring: true, crossedYears: [2023, 2024] });
+
+      assert.deepEqual(fixed, ['Trip 2023-2024']);
+      assert.deepEqual(recurring, ['A', 'B', 'C', 'C 2023-2024']);
+    });
+  });
+
+  describe('overlapping events', () => {
+    const events = {
+      'Holidays|New Year': '31.12.x-01.01.x',
+      'New Year in Paris': '30.12.2024-02.01.2025',
+      'Family|Birthday': '01.01.x',
+    };
+
+    it('prefers fixed events to recurring ones and single days to ranges', () => {
+      useEvents(events);
+
+      assert.equal(getFolders(at('2025-01-01')), 'New Year in Paris 2024-2025');
+      assert.equal(getFolders(at('2026-01-01')), 'Family/Birthday/Birthday 2026');
+      assert.equal(getFolders(at('2025-12-31')), 'Holidays/New Year/New Year 2025-2026');
+    });
+
+    it('prefers the event with the highest priority', () => {
+      useEvents({ ...events, 'Holidays|New Year': { dates: '31.12.x-01.01.x', priority: 1 } });
+
+      assert.equal(getFolders(at('2025-01-01')), 'Holidays/New Year/New Year 2024-2025');
+    });
+
+    it('uses the shortest event with the most-specific policy', () => {
+      useEvents(events, { overlappingEvents: 'most-specific' });
+
+      assert.equal(getFolders(at('2025-01-01')), 'Family/Birthday/Birthday 2025');
+      assert.equal(getFolders(at('2024-12-31')), 'Holidays/New Year/New Year 2024-2025');
+    });
+
+    it('combines the names in the sorting order with the combined policy', () => {
+      useEvents(events, { overlappingEvents: 'combined' });
+
+      assert.equal(getFolders(at('2025-01-01')), 'Overlapping Events/New Year in Paris + Birthday + New Year 2024-2025');
+    });
+
+    it('lists the days shared by different events', () => {
+      useEvents({ 'Trip': '30.12.2024-02.01.2025', 'Holidays|New Year': '31.12.x-01.01.x' });
+
+      const overlaps = resolve(() => EventsResolver.findOverlaps()).map(({ first, second, ranges, winner }) => ({
+        first,
+        second,
+        ranges: ranges.map(({ start, end }) => [start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)]),
+        winner,
+      }));
+
+      assert.deepEqual(overlaps, [{
+        first: 'Trip (30.12.2024-02.01.2025)',
+        second: 'Holidays|New Year (31.12.x-01.01.x)',
+        ranges: [['2024-12-31', '2025-01-01']],
+        winner: 'Trip 2024-2025',
+      }]);
+    });
+  });
+
+  describe('validate', () => {
+    it('returns the reason for every invalid entry', () => {
+      useEvents({
+        'Month': '10.13.2020',
+        'Day': '31.04.x',
+        'Reversed': '10.05.2020-01.05.2020',
+        'Reversed Years': '01.01.2010_2005',
+        'Time': '10.05.2020 24:00-11.05.2020 01:00',
+        'Text': 'tomorrow',
+        'Empty': '',
+        'Trips||Italy': '01.05.2020',
+        'Valid': ['01.05.2020', '10.06.x-12.06.x'],
+      });
+
+      assert.deepEqual(resolve(() => EventsResolver.validate()).map(({ name, reason }) => [name, reason]), [
+        ['Month', 'eventInvalidMonth'],
+        ['Day', 'eventInvalidDay'],
+        ['Reversed', 'eventEndBeforeStart'],
+        ['Reversed Years', 'eventEndBeforeStart'],
+        ['Time', 'eventInvalidTime'],
+        ['Text', 'eventUnparseable'],
+        ['Empty', 'eventNoDates'],
+        ['Trips||Italy', 'eventEmptyFolder'],
+      ]);
+    });
+
+    it('leaves invalid entries out of matching', () => {
+      useEvents({ 'Broken': '31.04.x', 'Spring': '01.04.x-30.04.x' });
+
+      assert.equal(getFolders(at('2024-04-30')), 'Spring/Spring 2024');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { BinaryFile, IsoBmffReader, MetadataReader } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+// Seconds between 1904-01-01, where movie times start, and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+let tempDir;
+
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(value));
+  return buffer;
+};
+
+const box = (type, ...payload) => {
+  const data = Buffer.concat(payload.map(part => typeof part === 'string' ? Buffer.from(part, 'latin1') : part));
+  return Buffer.concat([uint32(8 + data.length), Buffer.from(type, 'latin1'), data]);
+};
+
+// A box whose size is stored in the 64-bit field after the type
+const largeBox = (type, ...payload) => {
+  const data = Buffer.concat(payload);
+  return Buffer.concat([uint32(1), Buffer.from(type, 'latin1'), uint64(16 + data.length), data]);
+};
+
+const fullBox = (type, version, ...payload) => box(type, Buffer.from([version, 0, 0, 0]), ...payload);
+
+// The seconds of a date since 1904-01-01
+const movieTime = date => Date.parse(date) / 1000 + QUICKTIME_EPOCH_OFFSET;
+
+// "mvhd" and "tkhd" start with the creation and modification times: 32-bit in version 0, 64-bit in version 1
+const timeHeader = (type, version, seconds) => version === 1
+  ? fullBox(type, 1, uint64(seconds), uint64(seconds), Buffer.alloc(88))
+  : fullBox(type, 0, uint32(seconds), uint32(seconds), Buffer.alloc(88));
+
+// QuickTime "mdta" metadata: the names in "keys", the values in "ilst" under the 1-based index of their name
+const appleMeta = (values) => {
+  const entries = Object.keys(values).map(key => box('mdta', key));
+  const items = Object.values(values).map((value, i) => Buffer.concat([
+    uint32(8 + 8 + 8 + Buffer.byteLength(value)),
+    uint32(i + 1),
+    box('data', uint32(1), uint32(0), Buffer.from(value)),
+  ]));
+
+  return box('meta', box('hdlr', Buffer.alloc(24)), fullBox('keys', 0, uint32(entries.length), ...entries), box('ilst', ...items));
+};
+
+const FTYP = box('ftyp', 'qt  ', uint32(0), 'qt  ');
+const MDAT = box('mdat', Buffer.alloc(64));
+
+const writeFile = (content) => {
+  const filePath = path.join(tempDir, 'VID_0001.mov');
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+const readMovieTags = async (content) => {
+  const file = await BinaryFile.open(writeFile(content));
+
+  try {
+    return await IsoBmffReader.readMovieTags(file);
+  } finally {
+    await file.close();
+  }
+};
+
+describe('IsoBmffReader', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'TimelineMediaSorterTest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('creation times', () => {
+    for (const version of [0, 1]) {
+      it(`reads the time of a version ${version} "mvhd"`, async () => {
+        const content = Buffer.concat([FTYP, box('moov', timeHeader('mvhd', version, movieTime('2023-06-01T12:34:56Z'))), MDAT]);
+        const tags = await readMovieTags(content);
+
+        assert.deepEqual(tags.movieCreationTime, new Date('2023-06-01T12:34:56Z'));
+        assert.deepEqual(await MetadataReader.readDate(writeFile(content)), {
+          year: '2023', month: '06', day: '01', hour: '12', minute: '34', second: '56', offset: 0, utc: true,
+        });
+      });
+    }
+
+    it('counts the seconds from 1904', async () => {
+      const fromUnixEpoch = await readMovieTags(box('moov', timeHeader('mvhd', 0, QUICKTIME_EPOCH_OFFSET)));
+      const before1970 = await readMovieTags(box('moov', timeHeader('mvhd', 1, 86400)));
+
+      assert.deepEqual(fromUnixEpoch.movieCreationTime, new Date('1970-01-01T00:00:00Z'));
+      assert.deepEqual(before1970.movieCreationTime, new Date('1904-01-02T00:00:00Z'));
+    });
+
+    it('reads the track time when the movie time is zero', async () => {
+      const trak = box('trak', timeHeader('tkhd', 0, movieTime('2022-02-03T04:05:06Z')));
+      const content = Buffer.concat([FTYP, box('moov', timeHeader('mvhd', 0, 0), trak)]);
+      const tags = await readMovieTags(content);
+
+      assert.equal(tags.movieCreationTime, null);
+      assert.deepEqual(tags.trackCreationTime, new Date('2022-02-03T04:05:06Z'));
+      assert.equal((await MetadataReader.readDate(writeFile(content))).day, '03');
+    });
+
+    it('gives no date when every time is zero', async () => {
+      const content = Buffer.concat([FTYP, box('moov', timeHeader('mvhd', 1, 0), box('trak', timeHeader('tkhd', 0, 0)))]);
+      assert.equal(await MetadataReader.readDate(writeFile(content)), null);
+    });
+
+    it('prefers the Apple creation date with its offset, and reads the camera', async () => {
+      const meta = appleMeta({
+        'com.apple.quicktime.make': 'Apple',
+        'com.apple.quicktime.model': 'iPhone 12',
+        'com.apple.quicktime.creationdate': '2023-06-01T14:34:56+0200',
+      });
+      const filePath = writeFile(Buffer.concat([FTYP, box('moov', timeHeader('mvhd', 0, movieTime('2023-06-01T12:34:56Z')), meta)]));
+
+      assert.deepEqual(await MetadataReader.readDate(filePath), {
+        year: '2023', month: '06', day: '01', hour: '14', minute: '34', second: '56', offset: 120, utc: false,
+      });
+      assert.equal(await MetadataReader.readCamera(filePath), 'Apple iPhone 12');
+    });
+  });
+
+  describe('box sizes', () => {
+    it('skips a media box with a 64-bit size before "moov"', async () => {
+      const content = Buffer.concat([FTYP, largeBox('mdat', Buffer.alloc(1000)), box('moov', timeHeader('mvhd', 0, movieTime('2021-01-01T00:00:00Z')))]);
+      const tags = await readMovieTags(content);
+
+      assert.deepEqual(tags.movieCreationTime, new Date('2021-01-01T00:00:00Z'));
+    });
+
+    it('reads a "moov" with a 64-bit size', async () => {
+      const content = Buffer.concat([FTYP, largeBox('moov', timeHeader('mvhd', 1, movieTime('2021-01-01T00:00:00Z')))]);
+      assert.deepEqual((await readMovieTags(content)).movieCreationTime, new Date('2021-01-01T00:00:00Z'));
+    });
+
+    it('lists the boxes of a buffer, the last one of size 0 reaching the end', async () => {
+      const lastBox = Buffer.concat([uint32(0), Buffer.from('mdat', 'latin1'), Buffer.alloc(10)]);
+      const data = Buffer.concat([FTYP, largeBox('free', Buffer.alloc(4)), lastBox]);
+      const read = (offset, length) => data.subarray(offset, offset + length);
+
+      const boxes = [];
+      for await (const { type, start, size } of IsoBmffReader.readBoxes(read, 0, data.length)) boxes.push([type, start, size]);
+
+      assert.deepEqual(boxes, [['ftyp', 0, 20], ['free', 20, 20], ['mdat', 40, 18]]);
+    });
+
+    it('recognizes the files by their first box', () => {
+      assert.ok(IsoBmffReader.isIsoBmff(FTYP));
+      assert.ok(IsoBmffReader.isIsoBmff(MDAT));
+      assert.ok(!IsoBmffReader.isIsoBmff(box('abcd')));
+      assert.ok(!IsoBmffReader.isIsoBmff(Buffer.from('ftyp')));
+    });
+  });
+
+  describe('truncated files', () => {
+    const cases = {
+      'a "moov" cut off by the end of the file': () => Buffer.concat([FTYP, box('moov', timeHeader('mvhd', 0, movieTime('2021-01-01T00:00:00Z')))])
+        .subarray(0, 60),
+      'an "mvhd" without its times': () => Buffer.concat([FTYP, box('moov', fullBox('mvhd', 0))]),
+      'a version 1 "mvhd" with half a time': () => Buffer.concat([FTYP, box('moov', fullBox('mvhd', 1, uint32(1)))]),
+      'a box smaller than its header': () => Buffer.concat([FTYP, uint32(4), Buffer.from('moov', 'latin1'), Buffer.alloc(16)]),
+      'a 64-bit size without its field': () => Buffer.concat([FTYP, uint32(1), Buffer.from('moov', 'latin1'), Buffer.alloc(4)]),
+      'a file with only "ftyp"': () => FTYP,
+    };
+
+    for (const [name, build] of Object.entries(cases)) {
+      it(`gives no date for ${name}`, async () => {
+        assert.equal(await MetadataReader.readDate(writeFile(build())), null);
+      });
+    }
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { BinaryFile, ExifReader, MetadataReader } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+const { Tags } = ExifReader;
+
+let tempDir;
+
+/**
+ * Builds a TIFF block with ASCII tags in IFD0 and, when given, in an Exif IFD pointed to from IFD0.
+ * `byteOrder` is 'II' (little-endian) or 'MM' (big-endian).
+ */
+const tiff = (byteOrder, ifd0Tags = [], exifTags = []) => {
+  const littleEndian = byteOrder === 'II';
+  const write16 = (buffer, value, offset) => littleEndian ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset);
+  const write32 = (buffer, value, offset) => littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset);
+  const ifdSize = tags => 2 + tags.length * 12 + 4;
+
+  const ifd0 = exifTags.length ? [...ifd0Tags, [Tags.EXIF_IFD_POINTER, null]] : ifd0Tags;
+  const exifIfdOffset = 8 + ifdSize(ifd0);
+  let dataOffset = exifIfdOffset + (exifTags.length ? ifdSize(exifTags) : 0);
+  const data = [];
+
+  // Values longer than 4 bytes go after the IFDs, in the order they are written
+  const writeIfd = (tags) => {
+    const buffer = Buffer.alloc(ifdSize(tags));
+    write16(buffer, tags.length, 0);
+
+    tags.forEach(([tag, value], i) => {
+      const entry = 2 + i * 12;
+      write16(buffer, tag, entry);
+
+      if (value === null) {
+        write16(buffer, 4, entry + 2);
+        write32(buffer, 1, entry + 4);
+        write32(buffer, exifIfdOffset, entry + 8);
+        return;
+      }
+
+      const text = Buffer.from(`${value}\0`, 'latin1');
+      write16(buffer, 2, entry + 2);
+      write32(buffer, text.length, entry + 4);
+
+      if (text.length <= 4) {
+        text.copy(buffer, entry + 8);
+      } else {
+        write32(buffer, dataOffset, entry + 8);
+        data.push(text);
+        dataOffset += text.length;
+      }
+    });
+
+    return buffer;
+  };
+
+  const header = Buffer.alloc(8);
+  header.write(byteOrder, 0, 'latin1');
+  write16(header, 42, 2);
+  write32(header, 8, 4);
+
+  const ifds = [writeIfd(ifd0), ...exifTags.length ? [writeIfd(exifTags)] : []];
+  return Buffer.concat([header, ...ifds, ...data]);
+};
+
+const segment = (type, payload) => {
+  const header = Buffer.from([0xff, type, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+// A JPEG file with the given segments before the image data
+const jpeg = (...segments) => Buffer.concat([Buffer.from([0xff, 0xd8]), ...segments, Buffer.from([0xff, 0xda, 0, 2, 0xff, 0xd9])]);
+
+const app1 = tiffData => segment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiffData]));
+
+const CAMERA_TAGS = [[Tags.MAKE, 'Canon'], [Tags.MODEL, 'Canon EOS R6']];
+const DATE_TAGS = [[Tags.DATE_TIME_ORIGINAL, '2024:07:15 18:30:05'], [Tags.OFFSET_TIME_ORIGINAL, '+03:00']];
+
+const writeFile = (fileName, content) => {
+  const filePath = path.join(tempDir, fileName);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+describe('MetadataReader', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'TimelineMediaSorterTest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('TIFF', () => {
+    for (const [byteOrder, name] of [['II', 'little-endian'], ['MM', 'big-endian']]) {
+      it(`reads the date and the camera of a ${name} file`, async () => {
+        const filePath = writeFile('IMG_0001.dng', tiff(byteOrder, CAMERA_TAGS, DATE_TAGS));
+
+        assert.deepEqual(await MetadataReader.readDate(filePath), {
+          year: '2024', month: '07', day: '15', hour: '18', minute: '30', second: '05', offset: 180, utc: false,
+        });
+        assert.equal(await MetadataReader.readCamera(filePath), 'Canon EOS R6');
+      });
+    }
+
+    it('recognizes the TIFF header by its byte order and magic number', () => {
+      assert.ok(ExifReader.isTiff(tiff('II')));
+      assert.ok(ExifReader.isTiff(tiff('MM')));
+      assert.ok(!ExifReader.isTiff(Buffer.from('II*', 'latin1')));
+      assert.ok(!ExifReader.isTiff(Buffer.from('XX\x2a\x00', 'latin1')));
+    });
+  });
+
+  describe('JPEG', () => {
+    it('finds the Exif APP1 segment after other segments', async () => {
+      const jfif = segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1'));
+      const filePath = writeFile('IMG_0001.jpg', jpeg(jfif, app1(tiff('II', CAMERA_TAGS, DATE_TAGS))));
+
+      assert.equal((await MetadataReader.readDate(filePath)).day, '15');
+      assert.equal(await MetadataReader.readCamera(filePath), 'Canon EOS R6');
+    });
+
+    it('adds the make to a model without the brand', async () => {
+      const filePath = writeFile('IMG_0001.jpg', jpeg(app1(tiff('MM', [[Tags.MAKE, 'Apple'], [Tags.MODEL, 'iPhone 12']]))));
+      assert.equal(await MetadataReader.readCamera(filePath), 'Apple iPhone 12');
+    });
+  });
+
+  describe('offsets and fallbacks', () => {
+    it('uses OffsetTime when there is no OffsetTimeOriginal', async () => {
+      const filePath = writeFile('IMG_0001.tif', tiff('II', [], [
+        [Tags.DATE_TIME_ORIGINAL, '2024:07:15 18:30:05'],
+        [Tags.OFFSET_TIME, '-05:30'],
+      ]));
+
+      assert.equal((await MetadataReader.readDate(filePath)).offset, -330);
+    });
+
+    it('leaves the offset empty when none is recorded', async () => {
+      const filePath = writeFile('IMG_0001.tif', tiff('II', [], [[Tags.DATE_TIME_ORIGINAL, '2024:07:15 18:30:05']]));
+      assert.equal((await MetadataReader.readDate(filePath)).offset, null);
+    });
+
+    it('falls back to CreateDate and its OffsetTimeDigitized', async () => {
+      const filePath = writeFile('IMG_0001.tif', tiff('MM', [], [
+        [Tags.DATE_TIME_ORIGINAL, '0000:00:00 00:00:00'],
+        [Tags.CREATE_DATE, '2023:01:02 03:04:05'],
+        [Tags.OFFSET_TIME_DIGITIZED, '+01:00'],
+      ]));
+
+      assert.deepEqual(await MetadataReader.readDate(filePath), {
+        year: '2023', month: '01', day: '02', hour: '03', minute: '04', second: '05', offset: 60, utc: false,
+      });
+    });
+  });
+
+  describe('broken files', () => {
+    const cases = {
+      'a JPEG without APP1': () => jpeg(segment(0xe0, Buffer.from('JFIF\0', 'latin1'))),
+      'a JPEG whose APP1 is cut off': () => jpeg(app1(tiff('II', CAMERA_TAGS, DATE_TAGS))).subarray(0, 40),
+      'a JPEG whose APP1 has no TIFF header': () => jpeg(segment(0xe1, Buffer.from('Exif\0\0II', 'latin1'))),
+      'a TIFF whose IFD count has no entries after it': () => {
+        const data = tiff('II', CAMERA_TAGS, DATE_TAGS).subarray(0, 12);
+        data.writeUInt16LE(0xffff, 8);
+        return data;
+      },
+      'a TIFF whose IFD offset is past the end': () => {
+        const data = tiff('MM', CAMERA_TAGS, DATE_TAGS);
+        data.writeUInt32BE(0xfffffff0, 4);
+        return data;
+      },
+      'a TIFF with only its header': () => tiff('II').subarray(0, 8),
+      'a file of another type': () => Buffer.from('Just some notes'),
+      'an empty file': () => Buffer.alloc(0),
+    };
+
+    for (const [name, build] of Object.entries(cases)) {
+      it(`returns null for ${name}`, async () => {
+        const filePath = writeFile('IMG_0001.jpg', build());
+
+        assert.equal(await MetadataReader.readDate(filePath), null);
+        assert.equal(await MetadataReader.readCamera(filePath), null);
+      });
+    }
+
+    it('returns null for a file that does not exist', async () => {
+      assert.equal(await MetadataReader.readDate(path.join(tempDir, 'Missing.jpg')), null);
+    });
+
+    it('reads the IFD entries that fit in the file when the count is too large', async () => {
+      const data = tiff('II', CAMERA_TAGS, DATE_TAGS);
+      data.writeUInt16LE(0xffff, 8);
+
+      const file = await BinaryFile.open(writeFile('IMG_0001.tif', data));
+      try {
+        const tags = await ExifReader.readFromTiff(file);
+        assert.equal(tags.make, 'Canon');
+        assert.equal(tags.dateTimeOriginal, '2024:07:15 18:30:05');
+      } finally {
+        await file.close();
+      }
+    });
+  });
+});
+
+describe('BinaryFile', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'TimelineMediaSorterTest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reads fewer bytes near the end and none past it', async () => {
+    const file = await BinaryFile.open(writeFile('data.bin', Buffer.from('0123456789')));
+
+    try {
+      assert.equal(file.size, 10);
+      assert.equal((await file.read(2, 3)).toString(), '234');
+      assert.equal((await file.read(8, 16)).toString(), '89');
+      assert.equal((await file.read(20, 4)).length, 0);
+    } finally {
+      await file.close();
+    }
+  });
+
+  it('rejects when the file does not exist', async () => {
+    await assert.rejects(BinaryFile.open(path.join(tempDir, 'Missing.bin')), { code: 'ENOENT' });
+  });
+
+  it('compares and hashes the content in chunks', async () => {
+    const filePathA = writeFile('a.bin', 'same content');
+    const filePathB = writeFile('b.bin', 'same content');
+    const filePathC = writeFile('c.bin', 'same contenT');
+
+    assert.ok(await BinaryFile.contentEquals(filePathA, filePathB, 4));
+    assert.ok(!await BinaryFile.contentEquals(filePathA, filePathC, 4));
+    assert.equal(await BinaryFile.hash(filePathA), await BinaryFile.hash(filePathB));
+    assert.notEqual(await BinaryFile.hash(filePathA), await BinaryFile.hash(filePathC));
+  });
+});
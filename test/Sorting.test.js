@@ -0,0 +1,420 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { plan, SeasonsResolver, sort, withSettings } = require(path.join(__dirname, '..', '#TimelineMediaSorter.js'));
+
+let tempDir;
+let sourcePath;
+let targetPath;
+
+const createFiles = (dir, fileNames) => {
+  for (const fileName of fileNames) {
+    fs.mkdirSync(path.dirname(path.join(dir, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(dir, fileName), fileName);
+  }
+};
+
+// Files of the tree as sorted "/"-separated paths, without the journal, plan and report of the sorter
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap(entry => entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`])
+  .filter(filePath => !path.posix.basename(filePath).startsWith('#TimelineMediaSorter'))
+  .sort();
+
+const run = (options = {}) => sort({ sourcePath, targetPath, language: 'en', ...options });
+
+// Replaces an fs function for one run; calls of `filter` go to the stub, the others to the original
+const stubFs = async (name, filter, stub, callback) => {
+  const original = fs[name];
+  fs[name] = (...args) => filter(...args) ? stub(...args) : original(...args);
+
+  try {
+    return await callback();
+  } finally {
+    fs[name] = original;
+  }
+};
+
+// A stub failing with the error code, as the fs function would
+const failWith = code => (...args) => {
+  process.nextTick(args.at(-1), Object.assign(new Error(`${code}: stubbed failure`), { code }));
+};
+
+// The watch mode needs fs.watch with subfolders, which Node.js supports on Linux from version 20
+const canWatchSubfolders = (() => {
+  try {
+    fs.watch(__dirname, { recursive: true }).close();
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+// Checks the condition every 50 ms until it holds, for up to 10 seconds
+const waitFor = async (condition) => {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(condition());
+};
+
+describe('sorting', () => {
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'TimelineMediaSorterTest-'));
+    sourcePath = path.join(tempDir, 'Inbox');
+    targetPath = path.join(tempDir, 'Photos');
+
+    createFiles(sourcePath, [
+      'IMG_2025-03-18.jpg',
+      'Camera/VID_2025-07-01.mp4',
+      'Camera/IMG_2024-12-31.jpg',
+      'Camera/IMG_2025-01-01.jpg',
+      'Phone/IMG_20240115.jpg',
+      'Phone/IMG_20210613_013000.jpg',
+      'Phone/IMG_20210613_103000.jpg',
+      'some_old_image.png',
+      'notes.txt',
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('sorts a folder into seasons and events', async () => {
+    const result = await run({
+      customEventsDates: {
+        'Holidays|New Year': '31.12.x-01.01.x',
+        'Party': '12.06.2021 17:00-13.06.2021 02:00',
+      },
+    });
+
+    assert.deepEqual(listFiles(targetPath), [
+      '#Unknown Dates/some_old_image.png',
+      '#Unknown Files/notes.txt',
+      '2021/Summer 2021/IMG_20210613_103000.jpg',
+      '2024/Winter 2024/IMG_20240115.jpg',
+      '2025/Spring 2025/IMG_2025-03-18.jpg',
+      '2025/Summer 2025/Videos/VID_2025-07-01.mp4',
+      'Holidays/New Year/New Year 2024-2025/IMG_2024-12-31.jpg',
+      'Holidays/New Year/New Year 2024-2025/IMG_2025-01-01.jpg',
+      'Party 2021/IMG_20210613_013000.jpg',
+    ]);
+    assert.deepEqual(listFiles(sourcePath), []);
+    assert.equal(result.aborted, false);
+    assert.equal(result.moved, 7);
+    assert.equal(result.skipped, 2);
+    assert.equal(result.files.find(({ source }) => source.endsWith('IMG_20240115.jpg')).date, '2024-01-15');
+  });
+
+  it('files January under the winter that started the year before with SPANNING_SEASONS', async () => {
+    await run({ spanningSeasons: true, customEventsDates: {} });
+
+    assert.ok(listFiles(targetPath).includes('2023/Winter 2023-2024/IMG_20240115.jpg'));
+    assert.ok(listFiles(targetPath).includes('2024/Winter 2024-2025/IMG_2024-12-31.jpg'));
+  });
+
+  it('keeps the options of a run to that run', async () => {
+    const getSeasonYear = () => SeasonsResolver.getSeasonYears(new Date('2024-01-15')).seasonYear;
+    let sorting;
+    const seasonYearInRun = await new Promise((resolve) => {
+      sorting = run({ spanningSeasons: true, onFile: () => resolve(getSeasonYear()) });
+    });
+
+    // While the run files January under the winter of the year before, the code outside it keeps its own settings
+    assert.equal(seasonYearInRun, 2023);
+    assert.equal(getSeasonYear(), 2024);
+    assert.equal(withSettings({ spanningSeasons: true }, getSeasonYear), 2023);
+    await sorting;
+    assert.ok(listFiles(targetPath).includes('2023/Winter 2023-2024/IMG_20240115.jpg'));
+  });
+
+  it('sorts by the day in TIMEZONE', async () => {
+    // 23:00 UTC on 28 February 2025 is already 1 March in Berlin
+    createFiles(sourcePath, ['1740783600.jpg']);
+
+    await run({ timezone: 'UTC', transferMode: 'copy' });
+    await run({ timezone: 'Europe/Berlin', targetPath: path.join(tempDir, 'Berlin') });
+
+    assert.ok(listFiles(targetPath).includes('2025/Winter 2025/1740783600.jpg'));
+    assert.ok(listFiles(path.join(tempDir, 'Berlin')).includes('2025/Spring 2025/1740783600.jpg'));
+  });
+
+  it('skips the calendar events it cannot import instead of aborting', async () => {
+    const calendarPath = path.join(tempDir, 'Family.ics');
+    fs.writeFileSync(calendarPath, [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Birthday',
+      'DTSTART;VALUE=DATE:20200318',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Weekly',
+      'DTSTART:20250103T090000',
+      'RRULE:FREQ=WEEKLY',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n'));
+
+    const result = await run({ calendarFiles: [calendarPath] });
+
+    assert.equal(result.aborted, false);
+    assert.equal(result.moved, 7);
+    assert.ok(listFiles(targetPath).includes('Birthday/Birthday 2025/IMG_2025-03-18.jpg'));
+  });
+
+  it('keeps watching the folders it has sorted files into', { skip: !canWatchSubfolders }, async () => {
+    const listeners = process.listenerCount('SIGINT');
+    const sorting = run({ targetPath: sourcePath, mode: 'watch', watchStableSeconds: 1 });
+
+    try {
+      // The watch starts after the first pass, together with the Ctrl+C handler
+      await waitFor(() => process.listenerCount('SIGINT') > listeners);
+      assert.ok(listFiles(sourcePath).includes('2025/Spring 2025/IMG_2025-03-18.jpg'));
+
+      createFiles(sourcePath, ['2025/Spring 2025/IMG_2023-07-01.jpg']);
+      await waitFor(() => fs.existsSync(path.join(sourcePath, '2023', 'Summer 2023', 'IMG_2023-07-01.jpg')));
+    } finally {
+      process.emit('SIGINT');
+      await sorting;
+    }
+
+    assert.ok(listFiles(sourcePath).includes('2025/Spring 2025/IMG_2025-03-18.jpg'));
+    assert.ok(!listFiles(sourcePath).includes('2025/Spring 2025/IMG_2023-07-01.jpg'));
+  });
+
+  describe('TRANSFER_MODE', () => {
+    const photo = '2025/Spring 2025/IMG_2025-03-18.jpg';
+
+    const toTarget = (from, to) => String(to).startsWith(targetPath);
+
+    beforeEach(() => {
+      fs.utimesSync(path.join(sourcePath, 'IMG_2025-03-18.jpg'), new Date('2020-01-01'), new Date('2020-01-01'));
+    });
+
+    it('copies the files with their times and removes the copies on undo', async () => {
+      const result = await run({ transferMode: 'copy' });
+
+      assert.equal(result.moved, 7);
+      assert.equal(listFiles(sourcePath).length, 9);
+      assert.equal(fs.readFileSync(path.join(targetPath, photo), 'utf-8'), 'IMG_2025-03-18.jpg');
+      assert.equal(fs.statSync(path.join(targetPath, photo)).mtimeMs, new Date('2020-01-01').getTime());
+
+      await run({ mode: 'undo' });
+      assert.deepEqual(listFiles(targetPath), []);
+      assert.equal(listFiles(sourcePath).length, 9);
+    });
+
+    it('links the files into the library and leaves the source', async () => {
+      const result = await run({ transferMode: 'hardlink' });
+
+      assert.equal(result.moved, 7);
+      assert.equal(listFiles(sourcePath).length, 9);
+      assert.equal(fs.statSync(path.join(targetPath, photo)).ino, fs.statSync(path.join(sourcePath, 'IMG_2025-03-18.jpg')).ino);
+    });
+
+    it('copies the files it cannot link across drives', async () => {
+      await stubFs('link', toTarget, failWith('EXDEV'), () => run({ transferMode: 'hardlink' }));
+
+      assert.equal(listFiles(sourcePath).length, 9);
+      assert.notEqual(fs.statSync(path.join(targetPath, photo)).ino, fs.statSync(path.join(sourcePath, 'IMG_2025-03-18.jpg')).ino);
+      assert.equal(fs.readFileSync(path.join(targetPath, photo), 'utf-8'), 'IMG_2025-03-18.jpg');
+    });
+
+    it('copies, verifies and removes the files it cannot rename across drives', async () => {
+      const result = await stubFs('rename', toTarget, failWith('EXDEV'), () => run());
+
+      assert.equal(result.moved, 7);
+      assert.deepEqual(listFiles(sourcePath), []);
+      assert.equal(fs.readFileSync(path.join(targetPath, photo), 'utf-8'), 'IMG_2025-03-18.jpg');
+      assert.equal(fs.statSync(path.join(targetPath, photo)).mtimeMs, new Date('2020-01-01').getTime());
+    });
+
+    it('keeps the source when the copy across drives does not match it', async () => {
+      const corruptCopy = (from, to, mode, callback) => fs.writeFile(to, 'corrupt', callback);
+      const result = await stubFs('rename', toTarget, failWith('EXDEV'),
+        () => stubFs('copyFile', toTarget, corruptCopy, () => run()));
+
+      assert.equal(result.moved, 0);
+      assert.ok(result.files.some(({ status }) => status === 'error'));
+      assert.equal(listFiles(sourcePath).length, 9);
+      assert.ok(!listFiles(targetPath).includes(photo));
+    });
+  });
+
+  describe('KEEP_COMPANIONS', () => {
+    it('keeps a Live Photo together with its video and sidecars', async () => {
+      createFiles(sourcePath, [
+        'Phone/IMG_20230405_101010.HEIC',
+        'Phone/IMG_20230405_101010.MOV',
+        'Phone/IMG_20230405_101010.AAE',
+        'Phone/IMG_20230405_101010.HEIC.xmp',
+      ]);
+
+      await run();
+
+      assert.deepEqual(listFiles(targetPath).filter(filePath => filePath.includes('IMG_20230405')), [
+        '2023/Spring 2023/IMG_20230405_101010.AAE',
+        '2023/Spring 2023/IMG_20230405_101010.HEIC',
+        '2023/Spring 2023/IMG_20230405_101010.HEIC.xmp',
+        '2023/Spring 2023/IMG_20230405_101010.MOV',
+      ]);
+    });
+
+    it('sorts a sidecar without a media file on its own', async () => {
+      createFiles(sourcePath, ['Phone/IMG_20230405_101010.xmp', 'Phone/IMG_20230405_101010.aae']);
+
+      await run();
+
+      assert.ok(listFiles(targetPath).includes('2023/Spring 2023/IMG_20230405_101010.xmp'));
+      assert.ok(listFiles(targetPath).includes('#Unknown Files/Phone/IMG_20230405_101010.aae'));
+    });
+
+    it('matches SIDECAR_EXTENSIONS in any letter case', async () => {
+      createFiles(sourcePath, ['Phone/IMG_20230405_101010.jpg', 'Phone/IMG_20230405_101010.JPG.Aae']);
+
+      await run({ sidecarExtensions: ['.AAE'] });
+
+      assert.ok(listFiles(targetPath).includes('2023/Spring 2023/IMG_20230405_101010.JPG.Aae'));
+    });
+
+    it('sorts every file on its own when turned off', async () => {
+      createFiles(sourcePath, ['Phone/IMG_20230405_101010.HEIC', 'Phone/IMG_20230405_101010.MOV']);
+
+      await run({ keepCompanions: false });
+
+      assert.ok(listFiles(targetPath).includes('2023/Spring 2023/IMG_20230405_101010.HEIC'));
+      assert.ok(listFiles(targetPath).includes('2023/Spring 2023/Videos/IMG_20230405_101010.MOV'));
+    });
+  });
+
+  describe('keep-newer', () => {
+    const existingPath = () => path.join(targetPath, '2025', 'Spring 2025', 'IMG_2025-03-18.jpg');
+    const replacedDir = () => path.join(targetPath, '#Replaced Files');
+
+    const createExisting = (mtime) => {
+      fs.mkdirSync(path.dirname(existingPath()), { recursive: true });
+      fs.writeFileSync(existingPath(), 'library');
+      fs.utimesSync(existingPath(), mtime, mtime);
+    };
+
+    it('moves the older library file aside and puts it back on undo', async () => {
+      createExisting(new Date('2020-01-01'));
+      const replacedPath = path.join(replacedDir(), '2025', 'Spring 2025', 'IMG_2025-03-18.jpg');
+
+      const result = await run({ collisionPolicy: 'keep-newer' });
+      assert.equal(result.collisions.replaced, 1);
+      assert.equal(fs.readFileSync(existingPath(), 'utf-8'), 'IMG_2025-03-18.jpg');
+      assert.equal(fs.readFileSync(replacedPath, 'utf-8'), 'library');
+
+      await run({ mode: 'undo' });
+      assert.equal(fs.readFileSync(existingPath(), 'utf-8'), 'library');
+      assert.equal(fs.readFileSync(path.join(sourcePath, 'IMG_2025-03-18.jpg'), 'utf-8'), 'IMG_2025-03-18.jpg');
+      assert.ok(!fs.existsSync(replacedDir()));
+    });
+
+    it('keeps the library file when it is newer', async () => {
+      createExisting(new Date(Date.now() + 60 * 1000));
+
+      const result = await run({ collisionPolicy: 'keep-newer' });
+
+      assert.equal(result.collisions.replaced, 0);
+      assert.equal(result.collisions.skipped, 1);
+      assert.equal(fs.readFileSync(existingPath(), 'utf-8'), 'library');
+      assert.ok(fs.existsSync(path.join(sourcePath, 'IMG_2025-03-18.jpg')));
+      assert.ok(!fs.existsSync(replacedDir()));
+    });
+
+    it('puts the replaced file back when the newer file cannot be moved', async () => {
+      createExisting(new Date('2020-01-01'));
+      const sourceFile = path.join(sourcePath, 'IMG_2025-03-18.jpg');
+
+      const result = await stubFs('rename', from => from === sourceFile, failWith('EACCES'),
+        () => run({ collisionPolicy: 'keep-newer' }));
+
+      assert.equal(result.collisions.replaced, 0);
+      assert.equal(result.files.find(({ source }) => source === sourceFile).status, 'error');
+      assert.equal(fs.readFileSync(existingPath(), 'utf-8'), 'library');
+      assert.equal(fs.readFileSync(sourceFile, 'utf-8'), 'IMG_2025-03-18.jpg');
+      assert.deepEqual(listFiles(replacedDir()), []);
+
+      const undoResult = await run({ mode: 'undo' });
+      assert.equal(undoResult.skipped, 0);
+      assert.equal(fs.readFileSync(existingPath(), 'utf-8'), 'library');
+      assert.equal(listFiles(sourcePath).length, 9);
+    });
+  });
+
+  describe('HTML_REPORT', () => {
+    const reportPath = () => path.join(targetPath, '#TimelineMediaSorterReport.html');
+
+    it('saves no page when turned off', async () => {
+      await run({ htmlReport: false });
+      assert.ok(!fs.existsSync(reportPath()));
+    });
+
+    it('saves the page with the seasons, events and unknown files', async () => {
+      await run({ htmlReport: true, customEventsDates: { 'Party': '12.06.2021 17:00-13.06.2021 02:00' } });
+
+      const html = fs.readFileSync(reportPath(), 'utf-8');
+      assert.ok(html.startsWith('<!DOCTYPE html>'));
+      assert.ok(html.includes('<td>Spring 2025</td>'));
+      assert.ok(html.includes('<td>Party</td>'));
+      assert.ok(html.includes(path.join('#Unknown Files', 'notes.txt')));
+    });
+
+    // "<" and ">" cannot be in file names on Windows
+    it('escapes the names of files and events', { skip: process.platform === 'win32' }, async () => {
+      createFiles(sourcePath, ['Phone/Notes <draft> & ideas.txt']);
+
+      await run({ htmlReport: true, customEventsDates: { 'Rock & Roll': '18.03.2025' } });
+
+      const html = fs.readFileSync(reportPath(), 'utf-8');
+      assert.ok(html.includes('Notes &lt;draft&gt; &amp; ideas.txt'));
+      assert.ok(html.includes('Rock &amp; Roll'));
+      assert.ok(!html.includes('<draft>'));
+      assert.ok(!html.includes('Rock & Roll'));
+    });
+  });
+
+  it('creates a target folder that does not exist yet', async () => {
+    const newTargetPath = path.join(tempDir, 'New Library', 'Photos');
+
+    await plan({ sourcePath, targetPath: newTargetPath, language: 'en' });
+    assert.ok(fs.existsSync(path.join(newTargetPath, '#TimelineMediaSorterPlan.json')));
+    fs.rmSync(path.join(tempDir, 'New Library'), { recursive: true });
+
+    const result = await run({ targetPath: newTargetPath });
+    assert.ok(fs.existsSync(path.join(newTargetPath, '#TimelineMediaSorterJournal.jsonl')));
+    assert.equal(result.moved, 7);
+    assert.equal(listFiles(newTargetPath).length, 9);
+  });
+
+  it('plans the same moves without touching the files', async () => {
+    const records = [];
+    const result = await plan({ sourcePath, targetPath, language: 'en', onFile: record => records.push(record) });
+
+    assert.deepEqual(listFiles(targetPath), []);
+    assert.equal(listFiles(sourcePath).length, 9);
+    assert.equal(records.length, 9);
+    assert.equal(result.moved, 7);
+  });
+
+  it('saves no log and no reports during a dry run', async () => {
+    await plan({ sourcePath, targetPath, language: 'en', saveLogs: true, reportFormats: ['jsonl', 'csv'] });
+
+    assert.deepEqual(fs.readdirSync(targetPath), ['#TimelineMediaSorterPlan.json']);
+  });
+
+  it('finds the duplicates of a dry run without writing their report', async () => {
+    fs.copyFileSync(path.join(sourcePath, 'notes.txt'), path.join(sourcePath, 'Phone', 'notes.txt'));
+
+    const result = await plan({ sourcePath, targetPath, language: 'en', duplicatesMode: 'report' });
+
+    assert.equal(result.duplicateGroups.length, 1);
+    assert.ok(!fs.existsSync(path.join(targetPath, '#TimelineMediaSorterDuplicates.json')));
+  });
+});
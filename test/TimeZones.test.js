@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { describe, it } = require('node:test');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '#TimelineMediaSorter.js');
+const TEST_FILES = ['DateParser.test.js', 'EventsResolver.test.js', 'Sorting.test.js'].map(fileName => path.join(__dirname, fileName));
+
+// 23:00 UTC on 31 December 2024 in the time zone of the computer, when TIMEZONE is empty
+const HOST_TIMES = {
+  'UTC': '2024-12-31 23:00',
+  'America/Los_Angeles': '2024-12-31 15:00',
+  'Asia/Kolkata': '2025-01-01 04:30',
+  'Pacific/Kiritimati': '2025-01-01 13:00',
+};
+
+// The test runner tells its child processes they are run by it, so the variable is not passed on to a nested run
+const runNode = (args, TZ) => {
+  const { NODE_TEST_CONTEXT, ...env } = process.env;
+  return spawnSync(process.execPath, args, { env: { ...env, TZ }, encoding: 'utf-8', timeout: 120000 });
+};
+
+describe('time zone of the computer', () => {
+  for (const [TZ, expected] of Object.entries(HOST_TIMES)) {
+    describe(TZ, () => {
+      it('gives the same results with TIMEZONE set', () => {
+        const { status, stdout, stderr } = runNode(['--test', ...TEST_FILES], TZ);
+        assert.equal(status, 0, `${stdout}${stderr}`);
+      });
+
+      it('is used when TIMEZONE is empty', () => {
+        const { stdout, stderr } = runNode(['-e', `
+          const { DateParser, withSettings } = require(${JSON.stringify(SCRIPT_PATH)});
+          const { year, month, day, hour, minute } = withSettings({ timezone: '' },
+            () => DateParser.toTimeZone(DateParser.parseFileName('1735686000.jpg')));
+          process.stdout.write(\`\${year}-\${month}-\${day} \${hour}:\${minute}\`);
+        `], TZ);
+
+        assert.equal(stdout, expected, stderr);
+      });
+    });
+  }
+});